@@ -0,0 +1,668 @@
+/* This page is for the extension settings */
+"use strict";
+
+let background = chrome.extension.getBackgroundPage();
+
+function loadSettings() {
+    if (background) {
+        fillExportSettings(background.getExportSettings());
+        fillIssuers(background.getIssuers());
+        fillProviders(background.getProviderSettings());
+        fillKeyConsistency({ results: background.getKeyConsistency(), history: background.getKeyHistory() });
+        fillBundleRejections(background.getBundleRejections());
+        fillLedgerSettings(background.getLedgerSettings());
+        fillAuditSettings({
+            settings: background.getAuditSettings(),
+            count: background.getAuditArchive().length
+        });
+        fillPoolSettings({
+            settings: background.getPoolSettings(),
+            level: background.getPoolLevel()
+        });
+        fillEpochSettings({
+            settings: background.getEpochSettings(),
+            quarantined: background.countQuarantinedTokens()
+        });
+        fillWalletStatus({
+            encrypted: background.isWalletEncrypted(),
+            locked: background.isWalletLocked()
+        });
+    } else {
+        let send = browser.runtime.sendMessage({
+            getExportSettings: true
+        });
+        send.then(fillExportSettings);
+        let sendIssuers = browser.runtime.sendMessage({
+            issuers: true
+        });
+        sendIssuers.then(function(issuers) {
+            fillIssuers(issuers);
+            return browser.runtime.sendMessage({
+                keyConsistency: true
+            });
+        }).then(fillKeyConsistency);
+        let sendProviders = browser.runtime.sendMessage({
+            providers: true
+        });
+        sendProviders.then(fillProviders);
+        let sendRejections = browser.runtime.sendMessage({
+            bundleRejections: true
+        });
+        sendRejections.then(fillBundleRejections);
+        let sendEpochs = browser.runtime.sendMessage({
+            getEpochSettings: true
+        });
+        sendEpochs.then(fillEpochSettings);
+        let sendLedger = browser.runtime.sendMessage({
+            getLedgerSettings: true
+        });
+        sendLedger.then(fillLedgerSettings);
+        let sendAudit = browser.runtime.sendMessage({
+            getAuditSettings: true
+        });
+        sendAudit.then(fillAuditSettings);
+        let sendPool = browser.runtime.sendMessage({
+            getPoolSettings: true
+        });
+        sendPool.then(fillPoolSettings);
+        let sendStatus = browser.runtime.sendMessage({
+            walletStatus: true
+        });
+        sendStatus.then(fillWalletStatus);
+    }
+}
+
+function saveSettings() {
+    let settings;
+    try {
+        settings = readExportSettings();
+    } catch(e) {
+        showStatus(e.message, true);
+        return;
+    }
+
+    if (background) {
+        background.setExportSettings(settings).then(function() {
+            showStatus("Saved", false);
+        }, function(err) {
+            showStatus(err.message, true);
+        });
+    } else {
+        let send = browser.runtime.sendMessage({
+            setExportSettings: settings
+        });
+        send.then(function(resp) {
+            showStatus(resp.error || "Saved", !!resp.error);
+        });
+    }
+}
+
+function fillExportSettings(settings) {
+    document.getElementById("local-enabled").checked = settings.local.enabled;
+    document.getElementById("http-enabled").checked = settings.http.enabled;
+    document.getElementById("http-url").value = settings.http.url;
+    document.getElementById("http-batch").value = settings.http.batchSize;
+    document.getElementById("http-headers").value = Object.keys(settings.http.headers).map(function(name) {
+        return name + ": " + settings.http.headers[name];
+    }).join("\n");
+    document.getElementById("file-enabled").checked = settings.file.enabled;
+}
+
+function readExportSettings() {
+    let headers = {};
+    const lines = document.getElementById("http-headers").value.split("\n");
+    lines.forEach(function(line) {
+        if (line.trim() == "") {
+            return;
+        }
+        const sep = line.indexOf(":");
+        if (sep < 1) {
+            throw new Error("Header lines must look like \"Name: value\", got: " + line);
+        }
+        headers[line.substring(0, sep).trim()] = line.substring(sep + 1).trim();
+    });
+
+    return {
+        local: { enabled: document.getElementById("local-enabled").checked },
+        http: {
+            enabled: document.getElementById("http-enabled").checked,
+            url: document.getElementById("http-url").value.trim(),
+            batchSize: parseInt(document.getElementById("http-batch").value, 10),
+            headers: headers,
+        },
+        file: { enabled: document.getElementById("file-enabled").checked },
+    };
+}
+
+// Builds a fieldset per issuer with its enabled switch and hosts
+function fillIssuers(issuers) {
+    const list = document.getElementById("issuer-list");
+    while (list.firstChild) {
+        list.removeChild(list.firstChild);
+    }
+    issuers.forEach(function(issuer) {
+        let fieldset = document.createElement("fieldset");
+        fieldset.setAttribute("data-issuer", issuer.name);
+
+        let legend = document.createElement("legend");
+        let label = document.createElement("label");
+        let enabled = document.createElement("input");
+        enabled.setAttribute("type", "checkbox");
+        enabled.className = "issuer-enabled";
+        enabled.checked = issuer.enabled;
+        label.appendChild(enabled);
+        label.appendChild(document.createTextNode(" " + issuer.name + (issuer.default ? " (default)" : "")));
+        legend.appendChild(label);
+        fieldset.appendChild(legend);
+
+        let hostsLabel = document.createElement("label");
+        hostsLabel.appendChild(document.createTextNode("Hosts (comma separated)"));
+        let hosts = document.createElement("input");
+        hosts.setAttribute("type", "text");
+        hosts.className = "issuer-hosts";
+        hosts.value = issuer.hosts.join(", ");
+        hostsLabel.appendChild(hosts);
+        fieldset.appendChild(hostsLabel);
+
+        let mirrorsLabel = document.createElement("label");
+        mirrorsLabel.appendChild(document.createTextNode("Key mirrors (one URL per line)"));
+        let mirrors = document.createElement("textarea");
+        mirrors.setAttribute("rows", "2");
+        mirrors.className = "issuer-mirrors";
+        mirrors.value = issuer.mirrors.join("\n");
+        mirrorsLabel.appendChild(mirrors);
+        fieldset.appendChild(mirrorsLabel);
+
+        let consistency = document.createElement("p");
+        consistency.className = "issuer-consistency";
+        fieldset.appendChild(consistency);
+
+        if (issuer.directory) {
+            let directory = document.createElement("p");
+            directory.className = "issuer-directory";
+            directory.textContent = describeDirectory(issuer.directory);
+            fieldset.appendChild(directory);
+        }
+
+        list.appendChild(fieldset);
+    });
+}
+
+function describeDirectory(directory) {
+    let text = "Keys from " + directory.url + ": ";
+    if (directory.fetched) {
+        text += directory.keys + " new, checked " + new Date(directory.fetched).toLocaleString();
+    } else {
+        text += "not fetched yet";
+    }
+    if (directory.error) {
+        text += " (last update failed: " + directory.error + ")";
+    }
+    return text;
+}
+
+// Shows the outcome of the last mirror check under each issuer, resp is
+// { results, history }
+function fillKeyConsistency(resp) {
+    const fieldsets = document.querySelectorAll("#issuer-list fieldset");
+    for (let i = 0; i < fieldsets.length; i++) {
+        const name = fieldsets[i].getAttribute("data-issuer");
+        const result = resp.results[name];
+        const seen = (resp.history[name] || []).length;
+        let text = seen + " keys seen so far.";
+        if (result) {
+            text += result.consistent ? " Mirrors agree" : " Mirrors disagree, no new passes are requested";
+            text += " (checked " + new Date(result.checked).toLocaleString() + ")";
+            result.mirrors.forEach(function(m) {
+                if (m.error) {
+                    text += ". " + m.url + ": " + m.error;
+                }
+            });
+        }
+        fieldsets[i].querySelector(".issuer-consistency").textContent = text;
+    }
+}
+
+// Lists the rejected commitment bundles, newest first
+function fillBundleRejections(rejections) {
+    const list = document.getElementById("bundle-rejection-list");
+    while (list.firstChild) {
+        list.removeChild(list.firstChild);
+    }
+    rejections.slice().reverse().forEach(function(r) {
+        let item = document.createElement("li");
+        item.textContent = new Date(r.time).toLocaleString() + " " + r.issuer + " (" + r.url + "): " + r.reason;
+        list.appendChild(item);
+    });
+    document.getElementById("bundle-rejections").style.display = rejections.length > 0 ? "block" : "none";
+}
+
+function clearBundleRejections() {
+    let done;
+    if (background) {
+        done = background.clearBundleRejections();
+    } else {
+        done = browser.runtime.sendMessage({
+            clearBundleRejections: true
+        });
+    }
+    done.then(loadSettings);
+}
+
+// Fetches every issuer directory again, whether or not it has expired
+function refreshDirectories() {
+    let done;
+    if (background) {
+        done = background.refreshDirectories(true).then(function() {
+            return {};
+        });
+    } else {
+        done = browser.runtime.sendMessage({
+            refreshDirectories: true
+        });
+    }
+    done.then(function(resp) {
+        showStatus(resp.error || "Updated", !!resp.error, "issuer-status");
+        loadSettings();
+    });
+}
+
+function readIssuerSettings() {
+    let settings = {};
+    const fieldsets = document.querySelectorAll("#issuer-list fieldset");
+    for (let i = 0; i < fieldsets.length; i++) {
+        const hosts = fieldsets[i].querySelector(".issuer-hosts").value.split(",").map(function(host) {
+            return host.trim().toLowerCase();
+        }).filter(function(host) {
+            return host != "";
+        });
+        const mirrors = fieldsets[i].querySelector(".issuer-mirrors").value.split("\n").map(function(url) {
+            return url.trim();
+        }).filter(function(url) {
+            return url != "";
+        });
+        settings[fieldsets[i].getAttribute("data-issuer")] = {
+            enabled: fieldsets[i].querySelector(".issuer-enabled").checked,
+            hosts: hosts,
+            mirrors: mirrors,
+        };
+    }
+    return settings;
+}
+
+function saveIssuers() {
+    const settings = readIssuerSettings();
+    let done;
+    if (background) {
+        done = background.setIssuerSettings(settings).then(function() {
+            return {};
+        }, function(err) {
+            return { error: err.message };
+        });
+    } else {
+        done = browser.runtime.sendMessage({
+            setIssuers: settings
+        });
+    }
+    done.then(function(resp) {
+        showStatus(resp.error || "Saved", !!resp.error, "issuer-status");
+    });
+}
+
+// Lists the challenge providers, providers is an array of { name, metaTag }
+function fillProviders(providers) {
+    const list = document.getElementById("provider-list");
+    while (list.firstChild) {
+        list.removeChild(list.firstChild);
+    }
+    providers.forEach(function(provider) {
+        let fieldset = document.createElement("fieldset");
+        fieldset.setAttribute("data-provider", provider.name);
+
+        let legend = document.createElement("legend");
+        legend.appendChild(document.createTextNode(provider.name));
+        fieldset.appendChild(legend);
+
+        let label = document.createElement("label");
+        let metaTag = document.createElement("input");
+        metaTag.setAttribute("type", "checkbox");
+        metaTag.className = "provider-meta-tag";
+        metaTag.checked = provider.metaTag;
+        label.appendChild(metaTag);
+        label.appendChild(document.createTextNode(" Accept challenges announced with a captcha-bypass meta tag"));
+        fieldset.appendChild(label);
+
+        list.appendChild(fieldset);
+    });
+}
+
+function saveProviders() {
+    let settings = {};
+    const fieldsets = document.querySelectorAll("#provider-list fieldset");
+    for (let i = 0; i < fieldsets.length; i++) {
+        settings[fieldsets[i].getAttribute("data-provider")] = {
+            metaTag: fieldsets[i].querySelector(".provider-meta-tag").checked,
+        };
+    }
+    backgroundAction(function() {
+        return background.setProviderSettings(settings);
+    }, { setProviders: settings }, "Saved", "provider-status");
+}
+
+// Shows how expired passes are handled, resp is { settings, quarantined }
+function fillEpochSettings(resp) {
+    document.getElementById("grace-hours").value = resp.settings.graceHours;
+    document.getElementById("stale-" + resp.settings.mode).checked = true;
+    document.getElementById("quarantined").textContent = resp.quarantined;
+    document.getElementById("quarantine").style.display = resp.quarantined > 0 ? "block" : "none";
+}
+
+function saveEpochSettings() {
+    const settings = {
+        mode: document.getElementById("stale-prune").checked ? "prune" : "quarantine",
+        graceHours: parseFloat(document.getElementById("grace-hours").value),
+    };
+    let done;
+    if (background) {
+        done = background.setEpochSettings(settings).then(function() {
+            return {};
+        }, function(err) {
+            return { error: err.message };
+        });
+    } else {
+        done = browser.runtime.sendMessage({
+            setEpochSettings: settings
+        });
+    }
+    done.then(function(resp) {
+        showStatus(resp.error || "Saved", !!resp.error, "epoch-status");
+        loadSettings();
+    });
+}
+
+function discardQuarantined() {
+    let done;
+    if (background) {
+        done = background.discardQuarantinedTokens();
+    } else {
+        done = browser.runtime.sendMessage({
+            discardQuarantined: true
+        });
+    }
+    done.then(loadSettings);
+}
+
+// Shows the pool size, resp is { settings, level }
+function fillPoolSettings(resp) {
+    document.getElementById("pool-size").value = resp.settings.size;
+    document.getElementById("pool-level").textContent = resp.level;
+}
+
+function savePoolSettings() {
+    const settings = { size: parseInt(document.getElementById("pool-size").value, 10) };
+    let done;
+    if (background) {
+        done = background.setPoolSettings(settings).then(function() {
+            return {};
+        }, function(err) {
+            return { error: err.message };
+        });
+    } else {
+        done = browser.runtime.sendMessage({
+            setPoolSettings: settings
+        });
+    }
+    done.then(function(resp) {
+        showStatus(resp.error || "Saved", !!resp.error, "pool-status");
+    });
+}
+
+function fillLedgerSettings(settings) {
+    document.getElementById("ledger-entries").value = settings.maxEntries;
+    document.getElementById("ledger-days").value = settings.maxDays;
+}
+
+// Runs an action in the background page and shows the result in statusId,
+// message is the equivalent runtime message
+function backgroundAction(action, message, done, statusId) {
+    let result;
+    if (background) {
+        result = action().then(function() {
+            return {};
+        }, function(err) {
+            return { error: err.message };
+        });
+    } else {
+        result = browser.runtime.sendMessage(message);
+    }
+    result.then(function(resp) {
+        showStatus(resp.error || done, !!resp.error, statusId);
+    });
+}
+
+function saveLedgerSettings() {
+    const settings = {
+        maxEntries: parseInt(document.getElementById("ledger-entries").value, 10),
+        maxDays: parseInt(document.getElementById("ledger-days").value, 10),
+    };
+    backgroundAction(function() {
+        return background.setLedgerSettings(settings);
+    }, { setLedgerSettings: settings }, "Saved", "ledger-status");
+}
+
+function exportLedger(format) {
+    backgroundAction(function() {
+        return background.downloadLedger(format);
+    }, { exportLedger: format }, "Exported", "ledger-status");
+}
+
+function clearLedger() {
+    backgroundAction(function() {
+        return background.clearLedger();
+    }, { clearLedger: true }, "Cleared", "ledger-status");
+}
+
+// Shows whether transcripts are archived, resp is { settings, count }
+function fillAuditSettings(resp) {
+    document.getElementById("audit-enabled").checked = resp.settings.enabled;
+    document.getElementById("audit-entries").value = resp.settings.maxEntries;
+    document.getElementById("audit-count").textContent = resp.count;
+}
+
+function saveAuditSettings() {
+    const settings = {
+        enabled: document.getElementById("audit-enabled").checked,
+        maxEntries: parseInt(document.getElementById("audit-entries").value, 10),
+    };
+    backgroundAction(function() {
+        return background.setAuditSettings(settings);
+    }, { setAuditSettings: settings }, "Saved", "audit-status");
+}
+
+function exportAudit() {
+    backgroundAction(function() {
+        return background.downloadAuditArchive();
+    }, { exportAudit: true }, "Exported", "audit-status");
+}
+
+function clearAudit() {
+    backgroundAction(function() {
+        return background.clearAuditArchive();
+    }, { clearAudit: true }, "Cleared", "audit-status");
+    document.getElementById("audit-count").textContent = 0;
+}
+
+// Checks the stored archive, or the exported archive in text
+function verifyAudit(text) {
+    let done;
+    if (background) {
+        try {
+            done = Promise.resolve({ results: text === undefined ? background.verifyAuditArchive() : background.verifyAuditFile(text) });
+        } catch(e) {
+            done = Promise.resolve({ error: e.message });
+        }
+    } else {
+        done = browser.runtime.sendMessage({
+            verifyAudit: text === undefined ? true : text
+        });
+    }
+    done.then(function(resp) {
+        if (resp.error) {
+            showStatus(resp.error, true, "audit-status");
+            return;
+        }
+        const failed = resp.results.filter(function(r) {
+            return !r.proofValid || !r.keyPublished;
+        });
+        let summary = resp.results.length + " transcripts checked";
+        failed.forEach(function(r) {
+            summary += "; " + new Date(r.time).toLocaleString() + " " + r.issuer + " epoch " + r.epoch + ": ";
+            summary += r.error || (!r.proofValid ? "proof does not verify" : "key was never published");
+        });
+        showStatus(summary, failed.length > 0, "audit-status");
+    });
+}
+
+function verifyAuditUpload() {
+    const input = document.getElementById("audit-file");
+    if (input.files.length == 0) {
+        return;
+    }
+    let reader = new FileReader();
+    reader.onload = function() {
+        verifyAudit(reader.result);
+        input.value = "";
+    };
+    reader.readAsText(input.files[0]);
+}
+
+// Turns wallet encryption on or off, enc is { enabled, passphrase, autoLockMinutes }
+function setWalletEncryption(enc) {
+    let done;
+    if (background) {
+        const change = enc.enabled ? background.setWalletEncryption(enc.passphrase, enc.autoLockMinutes) : background.removeWalletEncryption();
+        done = change.then(function() {
+            return {};
+        }, function(err) {
+            return { error: err.message };
+        });
+    } else {
+        done = browser.runtime.sendMessage({
+            setWalletEncryption: enc
+        });
+    }
+    done.then(function(resp) {
+        showStatus(resp.error || "Saved", !!resp.error, "encryption-status");
+        if (!resp.error) {
+            document.getElementById("new-passphrase").value = "";
+            document.getElementById("confirm-passphrase").value = "";
+            loadSettings();
+        }
+    });
+}
+
+function encryptWallet() {
+    const passphrase = document.getElementById("new-passphrase").value;
+    if (passphrase != document.getElementById("confirm-passphrase").value) {
+        showStatus("Passphrases do not match", true, "encryption-status");
+        return;
+    }
+    setWalletEncryption({
+        enabled: true,
+        passphrase: passphrase,
+        autoLockMinutes: parseInt(document.getElementById("auto-lock").value, 10),
+    });
+}
+
+function decryptWallet() {
+    setWalletEncryption({ enabled: false });
+}
+
+function fillWalletStatus(status) {
+    document.getElementById("encrypt-form").style.display = status.encrypted ? "none" : "block";
+    document.getElementById("decrypt-form").style.display = status.encrypted ? "block" : "none";
+    document.getElementById("decrypt").disabled = status.locked;
+}
+
+function exportWallet() {
+    let done;
+    if (background) {
+        done = background.backupWallet().then(function() {
+            return {};
+        }, function(err) {
+            return { error: err.message };
+        });
+    } else {
+        done = browser.runtime.sendMessage({
+            exportWallet: true
+        });
+    }
+    done.then(function(resp) {
+        showStatus(resp.error || "Exported", !!resp.error, "backup-status");
+    });
+}
+
+function importWallet() {
+    const input = document.getElementById("import-file");
+    if (input.files.length == 0) {
+        return;
+    }
+    let reader = new FileReader();
+    reader.onload = function() {
+        let done;
+        if (background) {
+            done = background.restoreWallet(reader.result).catch(function(err) {
+                return { error: err.message };
+            });
+        } else {
+            done = browser.runtime.sendMessage({
+                importWallet: reader.result
+            });
+        }
+        done.then(function(resp) {
+            if (resp.error) {
+                showStatus(resp.error, true, "backup-status");
+            } else {
+                showStatus("Imported " + resp.imported + " passes, skipped " + resp.duplicates + " duplicates", false, "backup-status");
+            }
+            input.value = "";
+        });
+    };
+    reader.readAsText(input.files[0]);
+}
+
+// Use textContent rather than innerHTML as error messages may contain input
+function showStatus(text, isError, id) {
+    const status = document.getElementById(id || "status");
+    status.textContent = text;
+    status.className = isError ? "error" : "";
+}
+
+document.getElementById("save").addEventListener("click", saveSettings);
+document.getElementById("save-issuers").addEventListener("click", saveIssuers);
+document.getElementById("save-providers").addEventListener("click", saveProviders);
+document.getElementById("refresh-directories").addEventListener("click", refreshDirectories);
+document.getElementById("clear-bundle-rejections").addEventListener("click", clearBundleRejections);
+document.getElementById("save-pool").addEventListener("click", savePoolSettings);
+document.getElementById("save-ledger").addEventListener("click", saveLedgerSettings);
+document.getElementById("export-ledger-csv").addEventListener("click", function() {
+    exportLedger("csv");
+});
+document.getElementById("export-ledger-json").addEventListener("click", function() {
+    exportLedger("json");
+});
+document.getElementById("clear-ledger").addEventListener("click", clearLedger);
+document.getElementById("save-audit").addEventListener("click", saveAuditSettings);
+document.getElementById("export-audit").addEventListener("click", exportAudit);
+document.getElementById("clear-audit").addEventListener("click", clearAudit);
+document.getElementById("verify-audit").addEventListener("click", function() {
+    verifyAudit();
+});
+document.getElementById("audit-file").addEventListener("change", verifyAuditUpload);
+document.getElementById("save-epochs").addEventListener("click", saveEpochSettings);
+document.getElementById("discard-quarantined").addEventListener("click", discardQuarantined);
+document.getElementById("export-wallet").addEventListener("click", exportWallet);
+document.getElementById("import-file").addEventListener("change", importWallet);
+document.getElementById("encrypt").addEventListener("click", encryptWallet);
+document.getElementById("decrypt").addEventListener("click", decryptWallet);
+window.onload = loadSettings;
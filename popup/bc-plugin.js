@@ -1,6 +1,8 @@
 /* This page is for the popup in the browser toolbar */
 "use strict";
 
+const HISTORY_ENTRIES = 10;
+
 let background = chrome.extension.getBackgroundPage();
 if (background) {
     background.UpdateCallback = UpdatePopup;
@@ -15,11 +17,29 @@ function UpdatePopup() {
     if (background) {
         tokLen = background.countStoredTokens();
         handleResponse(tokLen);
+        replaceWalletStatus({
+            encrypted: background.isWalletEncrypted(),
+            locked: background.isWalletLocked()
+        });
+        replaceOutboxCounts(background.getOutboxCounts());
+        replaceIssuerCounts(background.countTokensByIssuer());
     } else {
         let send = browser.runtime.sendMessage({
             tokLen: true
         });
-        send.then(handleResponse);
+        send.then(handleResponse).then(function() {
+            return browser.runtime.sendMessage({
+                walletStatus: true
+            });
+        }).then(replaceWalletStatus);
+        let sendOutbox = browser.runtime.sendMessage({
+            outboxCounts: true
+        });
+        sendOutbox.then(replaceOutboxCounts);
+        let sendIssuers = browser.runtime.sendMessage({
+            issuerCounts: true
+        });
+        sendIssuers.then(replaceIssuerCounts);
     }
 }
 
@@ -39,6 +59,59 @@ function handleResponse(tokLen) {
             });
         }
     });
+
+    // Downloads a backup of the wallet, importing is done from the options
+    // page. Assigned rather than added, the popup is updated more than once.
+    document.getElementById("export-wallet").onclick = function() {
+        if (background) {
+            background.backupWallet().catch(function(err) {
+                console.error(err.message);
+            });
+        } else {
+            browser.runtime.sendMessage({
+                exportWallet: true
+            });
+        }
+    };
+
+    // Shows or hides the most recent redemptions
+    document.getElementById("show-history").onclick = function() {
+        const history = document.getElementById("history");
+        if (history.style.display == "block") {
+            history.style.display = "none";
+            return;
+        }
+        if (background) {
+            replaceHistory(background.getLedger());
+        } else {
+            browser.runtime.sendMessage({
+                ledger: true
+            }).then(replaceHistory);
+        }
+    };
+}
+
+function replaceHistory(ledger) {
+    var history = document.getElementById("history");
+    while (history.firstChild) {
+        history.removeChild(history.firstChild);
+    }
+    history.style.display = "block";
+    if (ledger.length == 0) {
+        history.appendChild(document.createTextNode("No passes spent yet"));
+        return;
+    }
+    ledger.slice(0, HISTORY_ENTRIES).forEach(function(entry) {
+        var line = document.createElement("div");
+        line.setAttribute("class", "history-entry");
+        line.setAttribute("title", new Date(entry.time).toLocaleString() + " " + entry.method + " " + entry.path);
+        var outcome = document.createElement("span");
+        outcome.setAttribute("class", "history-outcome");
+        outcome.appendChild(document.createTextNode(entry.code ? entry.outcome + " " + entry.code : entry.outcome));
+        line.appendChild(outcome);
+        line.appendChild(document.createTextNode(entry.host));
+        history.appendChild(line);
+    });
 }
 
 // We have to do replace this way as using innerHtml is unsafe
@@ -65,4 +138,125 @@ function replaceTokensStoredCount(tokLen) {
     document.getElementById("stored").appendChild(newCount);
 }
 
+// Shows the unlock form or the lock button for an encrypted wallet
+function replaceWalletStatus(status) {
+    var vault = document.getElementById("vault");
+    while (vault.firstChild) {
+        vault.removeChild(vault.firstChild);
+    }
+    if (!status.encrypted) {
+        vault.style.display = "none";
+        return;
+    }
+    vault.style.display = "block";
+
+    if (!status.locked) {
+        var lock = document.createElement("button");
+        lock.setAttribute("type", "button");
+        lock.setAttribute("class", "button-style");
+        lock.appendChild(document.createTextNode("Lock Wallet"));
+        lock.addEventListener("click", function() {
+            if (background) {
+                background.lockWallet();
+            } else {
+                browser.runtime.sendMessage({
+                    lock: true
+                }).then(UpdatePopup);
+            }
+        });
+        vault.appendChild(lock);
+        return;
+    }
+
+    replaceTokensStoredCount("Locked");
+    var passphrase = document.createElement("input");
+    passphrase.setAttribute("type", "password");
+    passphrase.setAttribute("id", "passphrase");
+    passphrase.setAttribute("placeholder", "Passphrase");
+    var unlock = document.createElement("button");
+    unlock.setAttribute("type", "button");
+    unlock.setAttribute("id", "unlock");
+    unlock.appendChild(document.createTextNode("Unlock"));
+    var error = document.createElement("div");
+    error.setAttribute("id", "vault-error");
+    unlock.addEventListener("click", function() {
+        let done;
+        if (background) {
+            done = background.unlockWallet(passphrase.value).then(function() {
+                return {};
+            }, function(err) {
+                return { error: err.message };
+            });
+        } else {
+            done = browser.runtime.sendMessage({
+                unlock: passphrase.value
+            });
+        }
+        done.then(function(resp) {
+            if (resp.error) {
+                error.textContent = resp.error;
+                return;
+            }
+            UpdatePopup();
+        });
+    });
+    vault.appendChild(passphrase);
+    vault.appendChild(unlock);
+    vault.appendChild(error);
+}
+
+// Lists the passes held for each issuer when more than one is enabled
+function replaceIssuerCounts(issuers) {
+    var list = document.getElementById("issuers");
+    while (list.firstChild) {
+        list.removeChild(list.firstChild);
+    }
+    const enabled = issuers.filter(function(issuer) {
+        return issuer.enabled;
+    });
+    if (enabled.length < 2) {
+        list.style.display = "none";
+        return;
+    }
+    list.style.display = "block";
+    enabled.forEach(function(issuer) {
+        var line = document.createElement("div");
+        line.appendChild(document.createTextNode(issuer.name + ": " + issuer.count));
+        list.appendChild(line);
+    });
+}
+
+// Shows how many exported passes are still waiting for the HTTP receiver
+function replaceOutboxCounts(counts) {
+    var outbox = document.getElementById("outbox");
+    while (outbox.firstChild) {
+        outbox.removeChild(outbox.firstChild);
+    }
+    if (counts.pending == 0 && counts.failed == 0) {
+        outbox.style.display = "none";
+        return;
+    }
+    outbox.style.display = "block";
+    outbox.appendChild(document.createTextNode("Exports pending: " + counts.pending + ", failed: " + counts.failed));
+
+    if (counts.failed > 0) {
+        var retry = document.createElement("a");
+        retry.setAttribute("href", "#");
+        retry.setAttribute("id", "retry-exports");
+        retry.appendChild(document.createTextNode("Retry"));
+        retry.addEventListener("click", function() {
+            if (background) {
+                background.retryFailedExports().catch(function(err) {
+                    console.error(err.message);
+                });
+            } else {
+                browser.runtime.sendMessage({
+                    retryExports: true
+                });
+            }
+        });
+        outbox.appendChild(retry);
+    }
+}
+
 window.onload = UpdatePopup;
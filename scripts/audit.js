@@ -0,0 +1,197 @@
+/*
+ * Opt-in archive of issuance transcripts.
+ *
+ * The proof that comes with signed tokens is checked once and then thrown
+ * away. As PROTOCOL.md suggests, users who keep it can check the issuer for
+ * honesty later, for instance against keys that it publishes afterwards.
+ * When the archive is switched on every verified 2HashDH or VOPRF issuance is
+ * kept as
+ *
+ *  {
+ *      "id": <unique id>,
+ *      "time": <ms since epoch>,
+ *      "issuer": <issuer name>,
+ *      "protocol": "2hashdh" | "voprf",
+ *      "epoch": <key epoch>,
+ *      "commitment": { "G", "H" },
+ *      "blinded": [<compressed blinded points as sent, base64>],
+ *      "signed": [<signed points as received>],
+ *      "proof": <batch proof as received>
+ *  }
+ *
+ * The blinding factors are not kept, so a transcript can't be linked to the
+ * tokens that were unblinded from it. Blind RSA issuances are not archived,
+ * their tokens can be verified by anyone with the issuer's public key.
+ *
+ * The verifier checks the proof of each transcript again and whether its key
+ * was published: pinned in the extension, listed in the issuer's directory,
+ * seen on a mirror or given by the auditor.
+ */
+
+/*global sjcl*/
+/* exported recordIssuanceTranscript */
+/* exported getAuditArchive */
+/* exported clearAuditArchive */
+/* exported downloadAuditArchive */
+/* exported verifyAuditArchive */
+/* exported verifyAuditFile */
+/* exported getAuditSettings */
+/* exported setAuditSettings */
+"use strict";
+
+const KEY_AUDIT_ARCHIVE = "transcripts";
+const KEY_AUDIT_SETTINGS = "audit";
+const AUDIT_FILE_PREFIX = "privacy-pass-audit-";
+const AUDIT_FILE_VERSION = 1;
+
+const DEFAULT_AUDIT_SETTINGS = {
+    enabled: false,
+    maxEntries: 100,
+};
+
+// Archives a verified issuance if the archive is switched on
+//
+// Inputs:
+//  tokens: the blind tokens that were sent
+//  issueResp: the decoded issue response, the signatures followed by the
+//  batch proof for 2HashDH or { elements, proof } for VOPRF
+//  match: { issuer, epoch } that the response was verified against
+function recordIssuanceTranscript(tokens, issueResp, match) {
+    const settings = getAuditSettings();
+    if (!settings.enabled) {
+        return;
+    }
+    const legacy = Array.isArray(issueResp);
+    let archive = getAuditArchive();
+    archive.unshift({
+        id: Date.now() + "-" + Math.random().toString(36).substring(2),
+        time: Date.now(),
+        issuer: match.issuer.name,
+        protocol: match.issuer.protocol,
+        epoch: match.epoch.epoch,
+        commitment: { G: match.epoch.commitment.G, H: match.epoch.commitment.H },
+        blinded: tokens.map(function(token) {
+            return compressPoint(token.point);
+        }),
+        signed: legacy ? issueResp.slice(0, issueResp.length - 1) : issueResp.elements,
+        proof: legacy ? issueResp[issueResp.length - 1] : issueResp.proof,
+    });
+    storageSet(NS_AUDIT, KEY_AUDIT_ARCHIVE, archive.slice(0, settings.maxEntries)).catch(function(err) {
+        console.error(err.message);
+    });
+}
+
+// Returns the archived transcripts, newest first
+function getAuditArchive() {
+    return storageGet(NS_AUDIT, KEY_AUDIT_ARCHIVE) || [];
+}
+
+function clearAuditArchive() {
+    return storageRemove(NS_AUDIT, KEY_AUDIT_ARCHIVE);
+}
+
+// Saves the archive in the downloads folder, in the format that
+// verifyAuditFile reads
+function downloadAuditArchive() {
+    return downloadJSON({
+        version: AUDIT_FILE_VERSION,
+        exported: Date.now(),
+        transcripts: getAuditArchive(),
+    }, AUDIT_FILE_PREFIX);
+}
+
+// Checks every transcript again
+//
+// Inputs:
+//  transcripts: archived transcripts, defaults to the stored archive
+//  publishedKeys: further commitments, { G, H }, that count as published
+// Returns:
+//  array of { id, time, issuer, epoch, proofValid, keyPublished, error }
+function verifyAuditArchive(transcripts, publishedKeys) {
+    const published = publishedKeyIds(publishedKeys || []);
+    return (transcripts || getAuditArchive()).map(function(t) {
+        let result = { id: t.id, time: t.time, issuer: t.issuer, epoch: t.epoch, proofValid: false, keyPublished: false, error: null };
+        try {
+            result.keyPublished = !!published[commitmentId(t.commitment)];
+            result.proofValid = verifyTranscriptProof(t);
+        } catch(e) {
+            result.error = e.message;
+        }
+        return result;
+    });
+}
+
+// Checks an exported archive, as written by downloadAuditArchive. An auditor
+// can add the keys that the issuer has published as "publishedKeys".
+function verifyAuditFile(text) {
+    let file;
+    try {
+        file = JSON.parse(text);
+    } catch(e) {
+        throw new Error("[privacy-pass]: audit archive is not JSON");
+    }
+    if (file.version != AUDIT_FILE_VERSION || !Array.isArray(file.transcripts)) {
+        throw new Error("[privacy-pass]: not an audit archive");
+    }
+    return verifyAuditArchive(file.transcripts, file.publishedKeys);
+}
+
+// Returns the archive settings, merged over the defaults
+//
+// Returns:
+//  { enabled, maxEntries }
+function getAuditSettings() {
+    const stored = storageGet(NS_SETTINGS, KEY_AUDIT_SETTINGS) || {};
+    return Object.assign({}, DEFAULT_AUDIT_SETTINGS, stored);
+}
+
+// Validates and stores the archive settings and trims the archive to them
+function setAuditSettings(settings) {
+    if (!Number.isInteger(settings.maxEntries) || settings.maxEntries < 1) {
+        return Promise.reject(new Error("[privacy-pass]: the audit archive must keep at least one transcript"));
+    }
+    const stored = { enabled: !!settings.enabled, maxEntries: settings.maxEntries };
+    return storageSet(NS_SETTINGS, KEY_AUDIT_SETTINGS, stored).then(function() {
+        return storageSet(NS_AUDIT, KEY_AUDIT_ARCHIVE, getAuditArchive().slice(0, stored.maxEntries));
+    });
+}
+
+function verifyTranscriptProof(t) {
+    if (t.protocol == PROTOCOL_VOPRF) {
+        return verifyArchivedVoprfProof(t.commitment.H, t.blinded, t.signed, t.proof);
+    }
+    const tokens = t.blinded.map(function(b) {
+        const bytes = sjcl.codec.bytes.fromBits(sjcl.codec.base64.toBits(b));
+        const point = decompressPoint(sjcl.codec.bytes.toBits(bytes.slice(1)), bytes[0]);
+        if (point === null) {
+            throw new Error("[privacy-pass]: archived blinded point is not on the curve");
+        }
+        return { point: point };
+    });
+    return verifyArchivedBatchProof(t.proof, tokens, t.signed.map(sec1DecodePoint), t.commitment);
+}
+
+// Returns a map from the commitment ids of all published keys to true
+function publishedKeyIds(extra) {
+    let ids = new Map();
+    getIssuers().forEach(function(issuer) {
+        issuer.epochs.forEach(function(e) {
+            ids[e.id] = true;
+        });
+    });
+    const history = getKeyHistory();
+    Object.keys(history).forEach(function(name) {
+        history[name].forEach(function(key) {
+            // Keys only seen in our own issuances don't count
+            if (key.sources.some(function(source) {
+                return source != KEY_SOURCE_ISSUANCE;
+            })) {
+                ids[key.id] = true;
+            }
+        });
+    });
+    extra.forEach(function(commitment) {
+        ids[commitmentId(commitment)] = true;
+    });
+    return ids;
+}
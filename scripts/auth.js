@@ -0,0 +1,274 @@
+/*
+ * The PrivateToken HTTP authentication scheme of RFC 9577.
+ *
+ * Standards-based origins don't send the cf-chl-bypass header. They answer
+ * with a 401 carrying
+ *
+ *  WWW-Authenticate: PrivateToken challenge="<TokenChallenge>", token-key="<key>"
+ *
+ * and accept a retried request with
+ *
+ *  Authorization: PrivateToken token="<Token>"
+ *
+ * where all values are base64url. Every token is bound to the SHA-256 of the
+ * TokenChallenge it answers, so only wallet tokens issued for that challenge
+ * can be spent on it. Tokens from the CAPTCHA flow are issued for the
+ * challenge with just the issuer name; for any other challenge a token is
+ * issued on the spot from the issuer's request URI.
+ *
+ * Only Blind RSA (token type 0x0002) challenges are supported.
+ */
+
+/*global sjcl*/
+/* exported parseAuthenticateHeader */
+/* exported decodeTokenChallenge */
+/* exported selectPrivateTokenChallenge */
+/* exported setPendingChallenge */
+/* exported takePendingChallenge */
+/* exported tokenMatchesChallenge */
+/* exported buildAuthorizationHeader */
+/* exported issueForChallenge */
+/* exported TOKEN_RESPONSE_TYPE */
+"use strict";
+
+const AUTH_SCHEME = "privatetoken";
+const TOKEN_REQUEST_TYPE = "application/private-token-request";
+const TOKEN_RESPONSE_TYPE = "application/private-token-response";
+const REDEMPTION_CONTEXT_BYTES = 32;
+// Offset of challenge_digest in a Token, after token_type and nonce
+const CHALLENGE_DIGEST_OFFSET = 2 + RSA_NONCE_BYTES;
+const CHALLENGE_ERR = "[privacy-pass]: malformed TokenChallenge";
+
+// Challenges waiting for the retried request, by URL
+let pendingChallenges = new Map();
+
+// Splits the value of a WWW-Authenticate header into its challenges, following
+// the syntax of RFC 9110, section 11. token68 credentials are not supported.
+//
+// Returns:
+//  array of { scheme, params } with the scheme and parameter names lower case
+function parseAuthenticateHeader(value) {
+    const tokenChars = /[!#$%&'*+\-.^_`|~0-9A-Za-z]/;
+    let pos = 0;
+    const skip = function(chars) {
+        while (pos < value.length && chars.indexOf(value[pos]) != -1) {
+            pos++;
+        }
+    };
+    const readToken = function() {
+        const start = pos;
+        while (pos < value.length && tokenChars.test(value[pos])) {
+            pos++;
+        }
+        return value.substring(start, pos);
+    };
+    const readQuoted = function() {
+        let out = "";
+        pos++;
+        while (pos < value.length && value[pos] != "\"") {
+            if (value[pos] == "\\") {
+                pos++;
+            }
+            // A trailing backslash or a missing closing quote ends the value
+            if (pos < value.length) {
+                out += value[pos++];
+            }
+        }
+        pos++;
+        return out;
+    };
+
+    let challenges = [];
+    while (pos < value.length) {
+        skip(" \t,");
+        const scheme = readToken();
+        if (scheme === "") {
+            break;
+        }
+        let params = {};
+        for (;;) {
+            skip(" \t");
+            const start = pos;
+            const name = readToken();
+            skip(" \t");
+            if (name === "" || value[pos] != "=") {
+                // The start of the next challenge
+                pos = start;
+                break;
+            }
+            pos++;
+            skip(" \t");
+            params[name.toLowerCase()] = value[pos] == "\"" ? readQuoted() : readToken();
+            skip(" \t");
+            if (value[pos] != ",") {
+                break;
+            }
+            pos++;
+        }
+        challenges.push({ scheme: scheme.toLowerCase(), params: params });
+    }
+    return challenges;
+}
+
+// Decodes a TokenChallenge from RFC 9577, section 2.1
+//
+// Returns:
+//  { tokenType, issuerName, redemptionContext, originInfo } where originInfo
+//  is the list of origin names, empty if the token is for any origin
+function decodeTokenChallenge(bytes) {
+    let pos = 0;
+    const read = function(n) {
+        if (pos + n > bytes.length) {
+            throw new Error(CHALLENGE_ERR);
+        }
+        const out = bytes.slice(pos, pos + n);
+        pos += n;
+        return out;
+    };
+    const readUint16 = function() {
+        const b = read(2);
+        return (b[0] << 8) | b[1];
+    };
+    const tokenType = readUint16();
+    const issuerName = read(readUint16());
+    const redemptionContext = read(read(1)[0]);
+    const originInfo = read(readUint16());
+    if (pos != bytes.length) {
+        throw new Error(CHALLENGE_ERR);
+    }
+    if (redemptionContext.length != 0 && redemptionContext.length != REDEMPTION_CONTEXT_BYTES) {
+        throw new Error("[privacy-pass]: redemption context must be empty or 32 bytes");
+    }
+    const origins = bytesToUtf8(originInfo);
+    return {
+        tokenType: tokenType,
+        issuerName: bytesToUtf8(issuerName),
+        redemptionContext: redemptionContext,
+        originInfo: origins === "" ? [] : origins.split(","),
+    };
+}
+
+// Picks the first PrivateToken challenge in the headers that we can answer
+// for host
+//
+// Inputs:
+//  values: the values of every WWW-Authenticate header of the response
+//  host: host of the request
+// Returns:
+//  { issuer, epoch, challenge, digest }, or null
+function selectPrivateTokenChallenge(values, host) {
+    let challenges = [];
+    values.forEach(function(value) {
+        challenges = challenges.concat(parseAuthenticateHeader(value));
+    });
+    for (let i = 0; i < challenges.length; i++) {
+        const params = challenges[i].params;
+        if (challenges[i].scheme != AUTH_SCHEME || !params.challenge || !params["token-key"]) {
+            continue;
+        }
+        try {
+            const challenge = b64urlToBytes(params.challenge);
+            const decoded = decodeTokenChallenge(challenge);
+            if (decoded.tokenType != TOKEN_TYPE_BLIND_RSA) {
+                continue;
+            }
+            if (decoded.originInfo.length > 0 && decoded.originInfo.indexOf(host) == -1) {
+                continue;
+            }
+            const match = findKeyEpoch(decoded.issuerName, sha256Bytes(b64urlToBytes(params["token-key"])));
+            if (match !== null) {
+                return { issuer: match.issuer, epoch: match.epoch, challenge: challenge, digest: sha256Bytes(challenge) };
+            }
+        } catch(e) {
+            console.error(e.message);
+        }
+    }
+    return null;
+}
+
+function setPendingChallenge(href, selected) {
+    pendingChallenges.set(href, selected);
+}
+
+// Returns and forgets the challenge to answer on the next request to href,
+// or null
+function takePendingChallenge(href) {
+    const selected = pendingChallenges.get(href) || null;
+    pendingChallenges.delete(href);
+    return selected;
+}
+
+// Checks whether a usable wallet token was issued for the challenge digest
+function tokenMatchesChallenge(token, digest) {
+    if (token.type != TOKEN_TYPE_BLIND_RSA) {
+        return false;
+    }
+    const bound = token.token.slice(CHALLENGE_DIGEST_OFFSET, CHALLENGE_DIGEST_OFFSET + digest.length);
+    return bytesEqual(bound, digest);
+}
+
+function buildAuthorizationHeader(token) {
+    return "PrivateToken token=\"" + sjcl.codec.base64url.fromBits(sjcl.codec.bytes.toBits(token.token)) + "\"";
+}
+
+// Issues a single token for the challenge with the issuance protocol of
+// RFC 9578, section 6, and adds it to the wallet
+//
+// Inputs:
+//  selected: challenge from selectPrivateTokenChallenge
+// Returns:
+//  Promise that resolves once the token is in the wallet
+function issueForChallenge(selected) {
+    const issuer = selected.issuer;
+    if (!issuer.requestUri) {
+        return Promise.reject(new Error("[privacy-pass]: no request URI for issuer " + issuer.name));
+    }
+    if (!isIssuanceConsistent(issuer)) {
+        return Promise.reject(new Error("[privacy-pass]: mirrors of " + issuer.name + " don't agree on its keys"));
+    }
+    const token = createRSATokens(1, issuer, selected.challenge, selected.epoch)[0];
+    return fetch(issuer.requestUri, {
+        method: "POST",
+        headers: { "Content-Type": TOKEN_REQUEST_TYPE, "Accept": TOKEN_RESPONSE_TYPE },
+        body: new Uint8Array(tokenRequestBytes(token)),
+    }).then(function(resp) {
+        if (!resp.ok) {
+            throw new Error("[privacy-pass]: token request to " + issuer.name + " failed with status " + resp.status);
+        }
+        return resp.arrayBuffer().then(function(body) {
+            return decodeIssueResponse({ contentType: resp.headers.get("Content-Type") || TOKEN_RESPONSE_TYPE, bytes: new Uint8Array(body) }, PROTOCOL_BLIND_RSA, 1);
+        });
+    }).then(function(signatures) {
+        const complete = finalizeRSAToken(token, signatures[0]);
+        assertConsistentKey(issuer, token.epoch);
+        // Kept locally whatever the export settings, it is spent right away
+        appendTokens([{ type: TOKEN_TYPE_BLIND_RSA, token: complete, commitment: token.epoch.commitment, epoch: token.epoch.epoch, issued: Date.now() }]);
+        return recordIssuedEpoch(issuer, token.epoch);
+    });
+}
+
+// Returns { issuer, epoch } for the unretired Blind RSA epoch of the named
+// issuer whose key has the id keyId, or null
+function findKeyEpoch(issuerName, keyId) {
+    const issuers = getIssuers().filter(function(issuer) {
+        return issuer.enabled && issuer.protocol == PROTOCOL_BLIND_RSA && issuer.issuerName == issuerName;
+    });
+    for (let i = 0; i < issuers.length; i++) {
+        const epochs = issuers[i].epochs;
+        for (let j = 0; j < epochs.length; j++) {
+            if (!isWalletRetired(epochs[j].id) && bytesEqual(parseRSAPublicKey(epochs[j].commitment.publicKey).id, keyId)) {
+                return { issuer: issuers[i], epoch: epochs[j] };
+            }
+        }
+    }
+    return null;
+}
+
+// Accepts base64url with or without padding, and plain base64
+function b64urlToBytes(s) {
+    return sjcl.codec.bytes.fromBits(sjcl.codec.base64url.toBits(s.replace(/\+/g, "-").replace(/\//g, "_")));
+}
+
+function bytesToUtf8(bytes) {
+    return sjcl.codec.utf8String.fromBits(sjcl.codec.bytes.toBits(bytes));
+}
@@ -9,17 +9,25 @@
 
 /*global sjcl*/
 /* exported clearStorage */
+/* exported appendTokens */
+/* exported setWalletEncryption */
+/* exported removeWalletEncryption */
+/* exported backupWallet */
+/* exported restoreWallet */
+/* exported removeStoredWallet */
+/* exported loadTokens */
+/* exported storeTokens */
+/* exported decodeStoredToken */
+/* exported readStoredTokens */
+/* exported writeStoredTokens */
 "use strict";
 
-const STORAGE_KEY_TOKENS = "cf-bypass-tokens";
-const STORAGE_KEY_COUNT  = "cf-token-count";
-const CHL_BYPASS_SUPPORT  = "cf-chl-bypass";
-const CHL_BYPASS_RESPONSE = "cf-chl-bypass-resp";
-const CHL_CLEARANCE_COOKIE = "cf_clearance";
-const CHL_CAPTCHA_DOMAIN = "captcha.website"; // cookies have dots prepended
-const CHL_VERIFICATION_ERROR = "6";
-const CHL_CONNECTION_ERROR = "5";
+const STORAGE_KEY_TOKENS = "tokens";
+const WWW_AUTHENTICATE = "www-authenticate";
+const HTTP_UNAUTHORIZED = 401;
 const MAX_REDIRECT = 3;
+// Network errors (Chrome and Firefox) where the request was never delivered
+const CONNECTION_ERRORS = /CONNECTION_REFUSED|NAME_NOT_RESOLVED|ADDRESS_UNREACHABLE|INTERNET_DISCONNECTED|UNKNOWN_HOST|NET_INTERRUPT/;
 const SPEND_MAX = 3;
 const MAX_TOKENS = 300;
 const TOKENS_PER_REQUEST = 30;
@@ -65,11 +73,30 @@ let futureReload = new Map();
 // Tabs that a spend occurred in
 let spentTab = new Map();
 
+// Requests that answer a PrivateToken challenge, by request id
+let authRedemptions = new Map();
+
+// Load the wallet from storage, commit passes whose redemption was cut short
+// by a restart, retire passes from expired key epochs, show the stored count
+// on the icon, resume delivery of any exported tokens that were still queued,
+// start filling the token pool and look for new keys in the issuer
+// directories and check them against the mirrors
+initStorage().then(function() {
+    commitOrphanedReservations();
+    scheduleEpochAlarm();
+    pruneRetiredWallets();
+    flushOutbox();
+    refillPool();
+    refreshDirectories().then(refreshKeyConsistency);
+}).catch(function(err) {
+    console.error(err.message);
+});
+
 /* Event listeners manage control flow
     - web request listeners act to send signable/redemption tokens when needed
     - web navigation listener sets the target url for the execution 
-    - cookie listener clears cookie for captcha.website to enable getting more
-    tokens in the future
+    - cookie listener clears cookie for the captcha domain of a challenge
+    provider to enable getting more tokens in the future
 */
 
 // Once we've completed the request if a spend went badly
@@ -87,6 +114,18 @@ function handleCompletion(details) {
     spendId[details.requestId] = false;
 }
 
+// If a redemption request never reached the edge the token can be spent again
+chrome.webRequest.onErrorOccurred.addListener(
+    processRequestError,
+    { urls: ["<all_urls>"] },
+);
+function processRequestError(details) {
+    if (hasReservation(details.requestId) && CONNECTION_ERRORS.test(details.error)) {
+        recordRedemptionError(details.requestId, details.error);
+        returnToken(details.requestId);
+    }
+}
+
 // If a redirect occurs then we want to see if we had spent previously
 // If so then it is likely that we will want to spend on the redirect
 chrome.webRequest.onBeforeRedirect.addListener(
@@ -101,7 +140,7 @@ function processRedirect(details) {
         redirectCount[details.requestId] = 0;
     }
     if (spendId[details.requestId] && redirectCount[details.requestId] < MAX_REDIRECT) {
-        setSpendFlag(newUrl.host, true);
+        setSpendFlag(newUrl.host, spendId[details.requestId]);
         spendId[details.requestId] = false;
         redirectCount[details.requestId] = redirectCount[details.requestId]+1;
     }
@@ -122,7 +161,8 @@ function validRedirect(oldUrl, redirectUrl) {
 }
 
 
-// Watches headers for CF-Chl-Bypass and CF-Chl-Bypass-Resp headers.
+// Watches headers for the challenge and redemption response headers of the
+// challenge providers.
 chrome.webRequest.onHeadersReceived.addListener(
     processHeaders,                 // callback
     { urls: ["<all_urls>"] },       // targeted pages
@@ -133,46 +173,155 @@ chrome.webRequest.onHeadersReceived.addListener(
 // us to cancel requests instead of loading an unnecessary ReCaptcha widget.
 function processHeaders(details) {
     let url = new URL(details.url);
-    let doRedeem = false;
+    let challenger = null;
+    let authenticate = [];
     for (var i = 0; i < details.responseHeaders.length; i++) {
         const header = details.responseHeaders[i];
-        if (header.name.toLowerCase() == CHL_BYPASS_RESPONSE) {
-            if (header.value == CHL_VERIFICATION_ERROR
-                || header.value == CHL_CONNECTION_ERROR) {
+        if (header.name.toLowerCase() == WWW_AUTHENTICATE) {
+            authenticate.push(header.value);
+        }
+        const responder = providerForResponseHeader(header.name);
+        if (responder !== null) {
+            settleRedemption(details.requestId, header.value, responder);
+            if (redemptionError(responder, header.value) !== null) {
                 // If these errors occur then something bad is happening.
                 // Either tokens are bad or some resource is calling the server in a bad way
                 throw new Error("[privacy-pass]: There may be a problem with the stored tokens. Redemption failed for: " + url.href + " with error code: " + header.value);
             }
         }
 
-        // 403 with the right header indicates a bypassable CAPTCHA
-        if (isBypassHeader(header) && details.statusCode == 403) {
-            doRedeem = true;
+        // The provider's challenge status and header indicate a bypassable CAPTCHA
+        const provider = providerForChallenge(header, details.statusCode);
+        if (provider !== null) {
+            challenger = provider;
         }
     }
 
+    if (challenger !== null) {
+        handleChallenge(url, details.tabId, challenger);
+    }
+
+    if (authRedemptions[details.requestId]) {
+        delete authRedemptions[details.requestId];
+        settleAuthRedemption(details.requestId, details.statusCode == HTTP_UNAUTHORIZED && authenticate.length > 0);
+    } else if (details.statusCode == HTTP_UNAUTHORIZED && authenticate.length > 0 && !spentUrl[url.href]) {
+        answerAuthChallenge(url, details.tabId, details.type, authenticate);
+    }
+}
+
+// Handles a challenge from provider on url, found in the response headers or
+// in a meta tag of the page
+function handleChallenge(url, tabId, provider) {
     // If we have tokens to spend, cancel the request and pass execution over to the token handler.
-    if (doRedeem && !spentUrl[url.href]) {
-        if (countStoredTokens() > 0) {
-            attemptRedeem(url, details.tabId);
-        } else {
-            // Store the url for redirection after captcha is solved
-            // Manual check for favicon urls
-            storedUrl = url.href;
-            let faviconIndex = storedUrl.indexOf("favicon");
-            if (faviconIndex != -1) {
-                storedUrl = storedUrl.substring(0, faviconIndex);
-            }
-            // Update icon to show user that token may be spent here
-            updateIcon("!");
+    if (spentUrl[url.href]) {
+        return;
+    }
+    const issuer = providerIssuer(provider, url.host);
+    if (issuer && countSpendableTokens(issuer) > 0) {
+        attemptRedeem(url, tabId, provider);
+    } else {
+        // Store the url for redirection after captcha is solved
+        // Manual check for favicon urls
+        storedUrl = url.href;
+        let faviconIndex = storedUrl.indexOf("favicon");
+        if (faviconIndex != -1) {
+            storedUrl = storedUrl.substring(0, faviconIndex);
         }
+        // Update icon to show user that token may be spent here
+        updateIcon("!");
     }
 }
 
-// Attempts to redeem a token if we should do
-function attemptRedeem(url, respTabId) {
-    // Prevent reloading on captcha.website
-    if (url.host.indexOf(CHL_CAPTCHA_DOMAIN) != -1) {
+// Handles the captcha-bypass meta tag reported by the content script, for
+// origins that can't set the challenge header. The tag names the provider and
+// carries its challenge value, and is only accepted for providers that allow
+// it.
+//
+// Returns:
+//  true if the tag announced a challenge
+function handleBypassTag(tag, sender) {
+    if (!sender.tab || sender.frameId) {
+        return false;
+    }
+    const provider = providerForBypassTag(tag);
+    if (provider === null) {
+        console.error("[privacy-pass]: ignoring invalid captcha-bypass tag on " + sender.url + ": " + JSON.stringify(tag));
+        return false;
+    }
+    handleChallenge(new URL(sender.url || sender.tab.url), sender.tab.id, provider);
+    return true;
+}
+
+// Commits or burns the token sent in an Authorization header. The origin
+// challenging the retried request again means the token was refused.
+function settleAuthRedemption(requestId, refused) {
+    if (!hasReservation(requestId)) {
+        return;
+    }
+    if (refused) {
+        recordRedemptionError(requestId, HTTP_UNAUTHORIZED);
+        const walletId = burnToken(requestId, "refused by origin (" + HTTP_UNAUTHORIZED + ")");
+        recordRejectedWallet(walletId);
+    } else {
+        commitToken(requestId);
+    }
+}
+
+// Answers a PrivateToken challenge of RFC 9577. The challenge is kept for the
+// URL and the page is reloaded, beforeSendHeaders then adds a token bound to
+// the challenge. Tokens issued for the bare challenge of the issuer are taken
+// from the wallet, others are issued first. Only challenges of the page
+// itself are answered, nothing would request a subresource again.
+function answerAuthChallenge(url, tabId, type, authenticate) {
+    if (isWalletLocked() || type != "main_frame") {
+        return;
+    }
+    const selected = selectPrivateTokenChallenge(authenticate, url.host);
+    if (selected === null) {
+        return;
+    }
+    const retry = function() {
+        setPendingChallenge(url.href, selected);
+        chrome.tabs.update(tabId, { url: url.href });
+    };
+    const held = (readStoredTokens(selected.epoch.id) || []).some(function(t) {
+        return tokenMatchesChallenge(t, selected.digest);
+    });
+    if (held) {
+        retry();
+        return;
+    }
+    issueForChallenge(selected).then(retry).catch(function(err) {
+        console.error(err.message);
+    });
+}
+
+// Commits, burns or returns the token reserved for a redemption request
+// depending on the response code from the provider's edge
+function settleRedemption(requestId, code, provider) {
+    if (!hasReservation(requestId)) {
+        return;
+    }
+    const error = redemptionError(provider, code);
+    if (error !== null) {
+        recordRedemptionError(requestId, code);
+    }
+    if (error == REDEMPTION_VERIFICATION_ERROR) {
+        const walletId = burnToken(requestId, "verification error (" + code + ")");
+        // This may be a pass from an epoch that the edge has rotated away from
+        recordRejectedWallet(walletId);
+    } else if (error == REDEMPTION_CONNECTION_ERROR) {
+        // The edge could not reach the verifier so the pass was never seen
+        returnToken(requestId);
+    } else {
+        commitToken(requestId);
+    }
+}
+
+// Attempts to redeem a token for a challenge from provider if we should do
+function attemptRedeem(url, respTabId, provider) {
+    // Prevent reloading on the provider's own challenge page
+    if (isCaptchaHost(provider, url.host)) {
         return;
     }
 
@@ -186,7 +335,7 @@ function attemptRedeem(url, respTabId) {
             }
             var storeMatches = tabIds.indexOf(respTabId) >= 0;
             if (storeMatches) {
-                chrome.cookies.get({"url": url.href, "name": CHL_CLEARANCE_COOKIE, "storeId": store.id}, function(cookie) {
+                chrome.cookies.get({"url": url.href, "name": provider.clearanceCookie, "storeId": store.id}, function(cookie) {
                     // Require an existing, non-expired cookie.
                     if (cookie) {
                         clearanceHeld = (cookie.expirationDate * 1000 >= Date.now());
@@ -197,7 +346,7 @@ function attemptRedeem(url, respTabId) {
 
         // If a clearance cookie is not held then set the spend flag
         if (!clearanceHeld) {
-            setSpendFlag(url.host, true);
+            setSpendFlag(url.host, provider.name);
             let targetUrl = target[respTabId];
             if (url.href == targetUrl) {
                 chrome.tabs.update(respTabId, { url: targetUrl });
@@ -220,26 +369,53 @@ function beforeSendHeaders(request) {
     let url = new URL(request.url);
     let headers = request.requestHeaders;
 
-    // Cancel if we don't have a token to spend
-    if (!getSpendFlag(url.host) || checkMaxSpend(url.host) || spentUrl[url.href] || isErrorPage(url.href) || isFaviconUrl(url.href)) {
+    if (!isWalletLocked() && !spentUrl[url.href]) {
+        const selected = takePendingChallenge(url.href);
+        if (selected !== null) {
+            return answerWithToken(request, url, selected);
+        }
+    }
+
+    // Cancel if we don't have a token to spend, tokens can't be read while
+    // the wallet is locked
+    const spendFlag = getSpendFlag(url.host);
+    if (isWalletLocked() || !spendFlag || checkMaxSpend(url.host) || spentUrl[url.href] || isFaviconUrl(url.href)) {
+        return {cancel: false};
+    }
+    // The flag holds the name of the provider that challenged the host
+    const provider = getChallengeProvider(spendFlag);
+    if (provider === null || isProviderErrorPage(provider, url.href)) {
         return {cancel: false};
     }
     setSpendFlag(url.host, null);
     incrementSpentHost(url.host);
     target[request.tabId] = "";
 
-    // Create a pass and reload to send it to the edge
-    const tokenToSpend = GetTokenForSpend();
+    // Create a pass from the wallet of the issuer serving this host and
+    // reload to send it to the edge. The token stays in the wallet until the
+    // response tells us whether it was accepted.
+    const issuer = providerIssuer(provider, url.host);
+    if (issuer == null) {
+        return {cancel: false};
+    }
+    const tokenToSpend = reserveToken(issuer, request.requestId, url.host);
     if (tokenToSpend == null) {
         return {cancel: false};
     }
+    recordRedemption(request.requestId, {
+        host: url.host,
+        path: url.pathname,
+        method: request.method,
+        tab: request.tabId,
+        issuer: issuer.name,
+    });
 
     const method = request.method;
     const http_path = method + " " + url.pathname;
-    const redemptionString = BuildRedeemHeader(tokenToSpend, url.hostname, http_path);
-    const newHeader = { name: "challenge-bypass-token", value: redemptionString };
+    const redemptionString = BuildRedeemHeader(tokenToSpend, url.hostname, http_path, issuer.protocol);
+    const newHeader = { name: provider.redemption.header, value: redemptionString };
     headers.push(newHeader);
-    spendId[request.requestId] = true;
+    spendId[request.requestId] = provider.name;
     spentUrl[url.href] = true;
     if (!spentTab[request.tabId]) {
         spentTab[request.tabId] = [];
@@ -248,13 +424,44 @@ function beforeSendHeaders(request) {
     return {requestHeaders: headers};
 }
 
+// Adds an Authorization header with a wallet token bound to the challenge
+function answerWithToken(request, url, selected) {
+    let headers = request.requestHeaders;
+    const token = reserveToken(selected.issuer, request.requestId, url.host, function(t) {
+        return tokenMatchesChallenge(t, selected.digest);
+    });
+    if (token == null) {
+        return {cancel: false};
+    }
+    recordRedemption(request.requestId, {
+        host: url.host,
+        path: url.pathname,
+        method: request.method,
+        tab: request.tabId,
+        issuer: selected.issuer.name,
+    });
+    headers.push({ name: "Authorization", value: buildAuthorizationHeader(token) });
+    authRedemptions[request.requestId] = true;
+    spentUrl[url.href] = true;
+    return {requestHeaders: headers};
+}
 
 // Intercepts CAPTCHA solution requests to add our token blob to the body.
-chrome.webRequest.onBeforeRequest.addListener(
-    beforeRequest,            // callback
-    { urls: ["<all_urls>"] }, // targeted pages
-    ["blocking"]              // desired traits
-);
+// Solutions sent in POST bodies are only seen where the browser lets us read
+// request bodies.
+try {
+    chrome.webRequest.onBeforeRequest.addListener(
+        beforeRequest,            // callback
+        { urls: ["<all_urls>"] }, // targeted pages
+        ["blocking", "requestBody"] // desired traits
+    );
+} catch(e) {
+    chrome.webRequest.onBeforeRequest.addListener(
+        beforeRequest,
+        { urls: ["<all_urls>"] },
+        ["blocking"]
+    );
+}
 
 // This function filters requests before we've made a connection. If we don't
 // have tokens, it asks for new ones when we solve a captcha.
@@ -265,72 +472,137 @@ function beforeRequest(details) {
     }
 
     let reqUrl = details.url;
-    const manualChallenge = reqUrl.indexOf("manual_challenge") != -1;
-    const captchaResp = reqUrl.indexOf("g-recaptcha-response") != -1;
-    const alreadyProcessed = reqUrl.indexOf("&captcha-bypass=true") != -1;
 
     // We're only interested in CAPTCHA solution requests that we haven't already altered.
-    if ((captchaResp && alreadyProcessed) || (!manualChallenge && !captchaResp) || sentTokens[reqUrl]) {
+    if (sentTokens[reqUrl]) {
+        return {cancel: false};
+    }
+    const post = details.method == "POST";
+    let provider = providerForIssuance(reqUrl);
+    let solution = null;
+    if (provider !== null && post) {
+        solution = readSolutionBody(details.requestBody);
+    } else if (provider === null && post) {
+        const posted = providerForSolutionBody(reqUrl, details.requestBody);
+        if (posted !== null) {
+            provider = posted.provider;
+            solution = posted.body;
+        }
+    }
+    if (provider === null) {
         return {cancel: false};
     }
-    sentTokens[reqUrl] = true;
 
-    let tokens = GenerateNewTokens(TOKENS_PER_REQUEST);
-    const request = BuildIssueRequest(tokens);
+    // New tokens can't be stored while the wallet is locked or full, so let
+    // the solution through untouched
+    if (isWalletLocked() || walletIsFull()) {
+        return {cancel: false};
+    }
 
-    // Tag the URL of the new request to prevent an infinite loop (see above)
-    let newUrl = reqUrl + "&captcha-bypass=true";
+    // Don't ask for tokens while the issuer's mirrors disagree on its keys
+    const issuer = providerIssuer(provider, new URL(reqUrl).host);
+    if (issuer === null) {
+        return {cancel: false};
+    }
+    if (!isIssuanceConsistent(issuer)) {
+        console.error("[privacy-pass]: not requesting tokens from " + issuer.name + " until its mirrors agree on its keys");
+        return {cancel: false};
+    }
+    sentTokens[reqUrl] = true;
 
-    let xhr = new XMLHttpRequest();
-    xhr.onreadystatechange = function() {
-        // When we receive a response...
-        if (xhr.status < 300 && xhr.readyState == 4 && countStoredTokens() < (MAX_TOKENS - TOKENS_PER_REQUEST)) {
-            const resp_data = xhr.responseText;
-            const signedPoints = parseIssueResponse(resp_data, tokens);
-            if (signedPoints !== null) {
-                storeNewTokens(tokens, signedPoints);
-            }
-            // Reload the page for the originally intended url
-            let url = new URL(reqUrl);
-            if (url.href.indexOf(CHL_CAPTCHA_DOMAIN) == -1){
-                let captchaPath = url.pathname;
-                let pathIndex = url.href.indexOf(captchaPath);
-                let reloadUrl = url.href.substring(0, pathIndex+1);
-                setSpendFlag(reloadUrl, true);
-                chrome.tabs.update(details.tabId, { url: reloadUrl });
-            }
-        } else if (countStoredTokens() >= (MAX_TOKENS - TOKENS_PER_REQUEST)) {
-            throw new Error("[privacy-pass]: Cannot receive new tokens due to upper bound.")
+    // Create the tokens the way the issuer we expect to sign them does
+    const h2c = issuer.hashToCurve;
+    const blindRSA = issuer.protocol == PROTOCOL_BLIND_RSA;
+    let tokens = blindRSA ? createRSATokens(TOKENS_PER_REQUEST, issuer) : takePooledTokens(TOKENS_PER_REQUEST, h2c);
+    const request = blindRSA ? BuildRSAIssueRequest(tokens) : BuildIssueRequest(tokens);
+    const issuance = buildIssuanceBody(provider, request, solution);
+
+    let headers = { "Content-Type": issuance.contentType, "Accept": ISSUE_RESPONSE_ACCEPT };
+    headers[provider.issuance.header.name] = provider.issuance.header.value;
+    sendIssueRequest({
+        // Tag the URL of the new request to prevent an infinite loop (see above)
+        url: tagIssuanceUrl(provider, reqUrl),
+        tabId: details.tabId,
+        headers: headers,
+        body: issuance.body,
+        timeout: provider.issuance.timeout,
+    }, function(response) {
+        if (walletIsFull()) {
+            throw issueError(ISSUE_OVER_QUOTA, ISSUE_OVER_QUOTA_ERR);
         }
-    };
-
-    xhr.open("POST", newUrl, true);
-    xhr.setRequestHeader("Content-Type", "application/x-www-form-urlencoded");
-    xhr.setRequestHeader("CF-Chl-Bypass", "1");
-    // We seem to get back some odd mime types that cause problems...
-    xhr.overrideMimeType("text/plain");
-
-    xhr.send("blinded-tokens=" + request);
+        const decoded = decodeIssueResponse(response, issuer.protocol, tokens.length);
+        if (blindRSA) {
+            const signed = parseRSAIssueResponse(decoded, tokens);
+            storeNewRSATokens(signed, { issuer: issuer, epoch: tokens[0].epoch });
+        } else {
+            const issueResp = parseIssueResponse(decoded, tokens, h2c);
+            storeNewTokens(tokens, issueResp.points, issueResp.match);
+        }
+    }).then(function(result) {
+        finishIssuance(result, provider, reqUrl, details.tabId);
+    });
 
     // Cancel the original request
     return {redirectUrl: "javascript:void(0)"};
 }
 
-// Removes cookies for captcha.website to enable getting more tokens
-// in the future.
+// Reloads the tab whose solution was sent for issuance and updates the badge
+// for the outcome. Only a successful issuance flags the page for a spend.
+// Whatever else happened the solution has been used up, so the page is
+// loaded again for a fresh challenge, unless the issuance was cancelled.
+function finishIssuance(result, provider, reqUrl, tabId) {
+    if (result.type == ISSUE_CANCELLED) {
+        return;
+    }
+    if (result.type != ISSUE_OK) {
+        console.error("[privacy-pass]: issuance for " + reqUrl + " failed (" + result.type + "): " + result.error);
+    }
+    if (result.type == ISSUE_OK || result.type == ISSUE_OVER_QUOTA) {
+        countStoredTokens();
+    } else {
+        updateIcon("!");
+    }
+
+    // Reload the page for the originally intended url
+    let url = new URL(reqUrl);
+    let captchaPath = url.pathname;
+    let pathIndex = url.href.indexOf(captchaPath);
+    let reloadUrl = url.href.substring(0, pathIndex+1);
+    if (result.type == ISSUE_OK) {
+        if (isCaptchaHost(provider, url.host)) {
+            return;
+        }
+        setSpendFlag(reloadUrl, provider.name);
+    }
+    chrome.tabs.update(tabId, { url: reloadUrl });
+}
+
+// Checks whether the wallet has no room for another issuance
+function walletIsFull() {
+    return countStoredTokens() >= (MAX_TOKENS - TOKENS_PER_REQUEST);
+}
+
+// Removes clearance cookies for the captcha domain of a provider to enable
+// getting more tokens in the future.
 chrome.cookies.onChanged.addListener(function(changeInfo) {
     let cookieDomain = changeInfo.cookie.domain;
     let cookieName = changeInfo.cookie.name;
+    const provider = providerForCookie(cookieName);
+    if (provider === null) {
+        return;
+    }
+    // cookies have dots prepended
+    const captchaCookie = !!provider.captchaDomain && cookieDomain == "." + provider.captchaDomain;
     if (!changeInfo.removed) {
-        if (cookieDomain == "." + CHL_CAPTCHA_DOMAIN // cookies have dots prepended
-            && cookieName == CHL_CLEARANCE_COOKIE) {
-            chrome.cookies.remove({url: "http://" + CHL_CAPTCHA_DOMAIN, name: CHL_CLEARANCE_COOKIE});
-        } else if (cookieName == CHL_CLEARANCE_COOKIE) {
+        if (captchaCookie) {
+            chrome.cookies.remove({url: "http://" + provider.captchaDomain, name: provider.clearanceCookie});
+        } else {
+            // The pass we spent on this domain was accepted
+            commitTokensForHost(cookieDomain);
+            recordClearance(cookieDomain);
             reloadTab(cookieDomain);
         }
-    } else if (changeInfo.removed
-            && cookieName == CHL_CLEARANCE_COOKIE
-            && cookieDomain != "." + CHL_CAPTCHA_DOMAIN) {
+    } else if (!captchaCookie) {
         resetSpendVars();
     }
 });
@@ -340,20 +612,30 @@ chrome.windows.onRemoved.addListener(function() {
     resetSpendVars();
 })
 
-// An issue response takes the form "signatures=[b64 blob]"
-// The blob is an array of base64-encoded marshaled curve points.
-// The points are uncompressed (TODO).
+// A legacy issue response takes the form "signatures=[b64 blob]", see
+// response.js for the other formats.
+// For 2HashDH issuers the blob is an array of base64-encoded marshaled curve
+// points followed by the batch proof. The points are uncompressed (TODO).
+// VOPRF issuers send an object instead, see voprf.js.
 //
 // If the blinded points are P = H(t)rB, these are Q = kP.
-function parseIssueResponse(data, tokens) {
-    const split = data.split("signatures=", 2);
-    if (split.length != 2) {
-        throw new Error("[privacy-pass]: signature response invalid or in unexpected format, got response: " + data);
-    }
-    // decodes base-64
-    const signaturesJSON = atob(split[1]);
-    // parses into JSON
-    const issueResp = JSON.parse(signaturesJSON);
+//
+// Takes the response as decoded by decodeIssueResponse and returns
+// { points, match } where match is the { issuer, epoch } whose commitments
+// the batch proof was verified against. The tokens were hashed to the curve
+// with h2c, they can't be redeemed with an issuer that hashes them
+// differently.
+function parseIssueResponse(issueResp, tokens, h2c) {
+    const result = Array.isArray(issueResp) ? parseBatchSignatures(issueResp, tokens) : parseVoprfResponse(issueResp, tokens);
+    if (hashToCurveKey(result.match.issuer.hashToCurve) != hashToCurveKey(h2c)) {
+        throw issueError(ISSUE_PROOF_FAILURE, "[privacy-pass]: tokens were signed by " + result.match.issuer.name + ", which hashes to the curve differently");
+    }
+    recordIssuanceTranscript(tokens, issueResp, result.match);
+    return result;
+}
+
+// Decodes the signatures of a 2HashDH issuer and verifies their batch proof
+function parseBatchSignatures(issueResp, tokens) {
     let batchProof = issueResp[issueResp.length - 1];
     let signatures = issueResp.slice(0, issueResp.length - 1);
     if (!batchProof) {
@@ -370,12 +652,28 @@ function parseIssueResponse(data, tokens) {
     })
 
     // Verify the DLEQ batch proof before handing back the usable points
-    // [TODO]: Recompute the PRNG state using knowledge of the tokens that are received
-    if (!verifyBatchProof(batchProof, tokens, usablePoints)) {
-        throw new Error("[privacy-pass]: Unable to verify DLEQ proof.")
+    const match = verifyBatchProof(batchProof, tokens, usablePoints);
+    if (!match) {
+        throw issueError(ISSUE_PROOF_FAILURE, BATCH_PROOF_ERR);
+    }
+    if (match.issuer.protocol != PROTOCOL_LEGACY) {
+        throw issueError(ISSUE_PROOF_FAILURE, "[privacy-pass]: issuer " + match.issuer.name + " does not use 2HashDH");
     }
 
-    return usablePoints;
+    return { points: usablePoints, match: match };
+}
+
+// A legacy Blind RSA issue response takes the form "signatures=[b64 blob]"
+// where the blob is a JSON array holding the base64 blind signature of each
+// token, in the order of the request.
+//
+// Takes the blind signatures as decoded by decodeIssueResponse and returns
+// the complete Tokens as bytes, each signature has been checked against the
+// issuer's public key.
+function parseRSAIssueResponse(signatures, tokens) {
+    return signatures.map(function(blindSig, i) {
+        return finalizeRSAToken(tokens[i], blindSig);
+    });
 }
 
 // Set the target URL for the spend and update the tab if necessary
@@ -396,18 +694,127 @@ chrome.webNavigation.onCommitted.addListener(function(details) {
     }
 });
 
-// Handle messages from popup
+// Handle messages from the popup and the options page
 chrome.runtime.onMessage.addListener(handleMessage);
 function handleMessage(request, sender, sendResponse) {
-    if (request.callback) {
+    if (request.type == "triggerChallengeBypass") {
+        sendResponse(handleBypassTag(request.content, sender));
+    } else if (request.callback) {
         UpdateCallback = request.callback;
     } else if (request.tokLen) {
         sendResponse(countStoredTokens());
+    } else if (request.issuerCounts) {
+        sendResponse(countTokensByIssuer());
+    } else if (request.ledger) {
+        sendResponse(getLedger());
+    } else if (request.exportLedger) {
+        respondWith(downloadLedger(request.exportLedger), sendResponse);
+        return true;
+    } else if (request.clearLedger) {
+        respondWith(clearLedger(), sendResponse);
+        return true;
+    } else if (request.getLedgerSettings) {
+        sendResponse(getLedgerSettings());
+    } else if (request.setLedgerSettings) {
+        respondWith(setLedgerSettings(request.setLedgerSettings), sendResponse);
+        return true;
+    } else if (request.getPoolSettings) {
+        sendResponse({ settings: getPoolSettings(), level: getPoolLevel() });
+    } else if (request.setPoolSettings) {
+        respondWith(setPoolSettings(request.setPoolSettings), sendResponse);
+        return true;
+    } else if (request.getEpochSettings) {
+        sendResponse({ settings: getEpochSettings(), quarantined: countQuarantinedTokens() });
+    } else if (request.setEpochSettings) {
+        respondWith(setEpochSettings(request.setEpochSettings), sendResponse);
+        return true;
+    } else if (request.discardQuarantined) {
+        respondWith(discardQuarantinedTokens(), sendResponse);
+        return true;
+    } else if (request.issuers) {
+        sendResponse(getIssuers());
+    } else if (request.setIssuers) {
+        respondWith(setIssuerSettings(request.setIssuers), sendResponse);
+        return true;
+    } else if (request.providers) {
+        sendResponse(getProviderSettings());
+    } else if (request.setProviders) {
+        respondWith(setProviderSettings(request.setProviders), sendResponse);
+        return true;
+    } else if (request.refreshDirectories) {
+        respondWith(refreshDirectories(true), sendResponse);
+        return true;
+    } else if (request.keyConsistency) {
+        sendResponse({ results: getKeyConsistency(), history: getKeyHistory() });
+    } else if (request.checkKeyConsistency) {
+        respondWith(refreshKeyConsistency(), sendResponse);
+        return true;
+    } else if (request.getAuditSettings) {
+        sendResponse({ settings: getAuditSettings(), count: getAuditArchive().length });
+    } else if (request.setAuditSettings) {
+        respondWith(setAuditSettings(request.setAuditSettings), sendResponse);
+        return true;
+    } else if (request.exportAudit) {
+        respondWith(downloadAuditArchive(), sendResponse);
+        return true;
+    } else if (request.clearAudit) {
+        respondWith(clearAuditArchive(), sendResponse);
+        return true;
+    } else if (request.verifyAudit) {
+        try {
+            sendResponse({ results: request.verifyAudit === true ? verifyAuditArchive() : verifyAuditFile(request.verifyAudit) });
+        } catch(e) {
+            sendResponse({ error: e.message });
+        }
+    } else if (request.bundleRejections) {
+        sendResponse(getBundleRejections());
+    } else if (request.clearBundleRejections) {
+        respondWith(clearBundleRejections(), sendResponse);
+        return true;
     } else if (request.clear) {
         clearStorage();
+    } else if (request.walletStatus) {
+        sendResponse({ encrypted: isWalletEncrypted(), locked: isWalletLocked() });
+    } else if (request.unlock) {
+        respondWith(unlockWallet(request.unlock), sendResponse);
+        return true;
+    } else if (request.lock) {
+        lockWallet();
+    } else if (request.setWalletEncryption) {
+        const enc = request.setWalletEncryption;
+        respondWith(enc.enabled ? setWalletEncryption(enc.passphrase, enc.autoLockMinutes) : removeWalletEncryption(), sendResponse);
+        return true;
+    } else if (request.exportWallet) {
+        respondWith(backupWallet(), sendResponse);
+        return true;
+    } else if (request.importWallet) {
+        restoreWallet(request.importWallet).then(sendResponse, function(err) {
+            sendResponse({ error: err.message });
+        });
+        return true;
+    } else if (request.outboxCounts) {
+        sendResponse(getOutboxCounts());
+    } else if (request.retryExports) {
+        retryFailedExports().catch(function(err) {
+            console.error(err.message);
+        });
+    } else if (request.getExportSettings) {
+        sendResponse(getExportSettings());
+    } else if (request.setExportSettings) {
+        respondWith(setExportSettings(request.setExportSettings), sendResponse);
+        return true;
     }
 }
 
+// Answers a message with {} or { error } once the promise settles
+function respondWith(promise, sendResponse) {
+    promise.then(function() {
+        sendResponse({});
+    }, function(err) {
+        sendResponse({ error: err.message });
+    });
+}
+
 /* Token storage functions */
 function incrementSpentHost(host) {
     if (spentHosts[host] === undefined) {
@@ -423,100 +830,270 @@ function checkMaxSpend(host) {
     return true
 }
 
-function countStoredTokens() {
-    const count = localStorage.getItem(STORAGE_KEY_COUNT);
-    if (count == null) {
-        return 0;
+// Counts the tokens in a single wallet, or in all wallets that can still be
+// spent from if walletId is not given. The total is shown on the icon.
+function countStoredTokens(walletId) {
+    if (walletId !== undefined) {
+        const storedTokens = readStoredTokens(walletId);
+        return storedTokens == null ? 0 : storedTokens.length;
     }
 
+    let count = 0;
+    listWalletIds().forEach(function(id) {
+        if (!isWalletRetired(id)) {
+            count += countStoredTokens(id);
+        }
+    });
+
     // We change the png file to show if tokens are stored or not
-    const countInt = JSON.parse(count);
-    updateIcon(countInt);
-    return countInt;
+    updateIcon(count);
+    return count;
 }
 
-// Pops a token from storage for a redemption
-function GetTokenForSpend() {
-    let tokens = loadTokens();
-    const tokenToSpend = tokens[0];
-    tokens = tokens.slice(1);
-    storeTokens(tokens);
-    return tokenToSpend;
+// Counts the tokens of the issuer that can still be spent
+function countSpendableTokens(issuer) {
+    let count = 0;
+    spendableWalletIds(issuer).forEach(function(id) {
+        count += countStoredTokens(id);
+    });
+    return count;
+}
+
+// Returns the name, id and spendable token count of every configured issuer
+function countTokensByIssuer() {
+    return getIssuers().map(function(issuer) {
+        return { name: issuer.name, id: issuer.id, enabled: issuer.enabled, count: countSpendableTokens(issuer) };
+    });
 }
 
 // This is for persisting valid tokens after some manipulation, like a spend.
-function storeTokens(tokens) {
+function storeTokens(issuerId, tokens) {
     let storableTokens = [];
     for (var i = 0; i < tokens.length; i++) {
         let t = tokens[i];
         storableTokens[i] = getTokenEncoding(t,t.point);
     }
-    const json = JSON.stringify(storableTokens);
-    localStorage.setItem(STORAGE_KEY_TOKENS, json);
-    localStorage.setItem(STORAGE_KEY_COUNT, tokens.length);
+    writeStoredTokens(issuerId, storableTokens);
 
     // Update the count on the actual icon
-    updateIcon(tokens.length);
+    countStoredTokens();
 }
 
 // This is for storing tokens we've just received from a new issuance response.
-function storeNewTokens(tokens, signedPoints) {
+// The tokens are tagged with the key epoch that signed them and handed to the
+// export sinks that are enabled in the settings, by default this just appends
+// them to the wallet of that epoch.
+function storeNewTokens(tokens, signedPoints, match) {
+    const issued = Date.now();
     let storableTokens = [];
     for (var i = 0; i < tokens.length; i++) {
         let t = tokens[i];
+        t.commitment = match.epoch.commitment;
+        t.epoch = match.epoch.epoch;
+        t.issued = issued;
         storableTokens[i] = getTokenEncoding(t,signedPoints[i]);
     }
-    // Append old tokens to the newly received tokens
-    if (countStoredTokens() > 0) {
-        let oldTokens = loadTokens();
-        for (let i=0; i<oldTokens.length; i++) {
-            let oldT = oldTokens[i];
-            storableTokens.push(getTokenEncoding(oldT,oldT.point));
-        }
-    }
-    // const json = JSON.stringify(storableTokens);
-    // localStorage.setItem(STORAGE_KEY_TOKENS, json);
-    // localStorage.setItem(STORAGE_KEY_COUNT, storableTokens.length);
+    storeIssuedTokens(storableTokens, match);
+}
 
-    // // Update the count on the actual icon
-    // updateIcon(storableTokens.length);
+// Stores complete Blind RSA tokens in the same way. They need neither blind
+// nor point any more, the token bytes carry the signature.
+function storeNewRSATokens(tokens, match) {
+    const issued = Date.now();
+    const storableTokens = tokens.map(function(token) {
+        return { type: TOKEN_TYPE_BLIND_RSA, token: token, commitment: match.epoch.commitment, epoch: match.epoch.epoch, issued: issued };
+    });
+    storeIssuedTokens(storableTokens, match);
+}
+
+// Stores newly issued tokens, unless the key that signed them might be one
+// that only this user was given
+function storeIssuedTokens(storableTokens, match) {
+    assertConsistentKey(match.issuer, match.epoch);
+    exportTokens(storableTokens);
+    recordIssuedEpoch(match.issuer, match.epoch).catch(function(err) {
+        console.error(err.message);
+    });
+}
 
-    storableTokens.forEach(token => {
-        let xhr = new XMLHttpRequest();
-        xhr.open( 'post', 'http://127.0.0.1:5000/push');
-        xhr.send(JSON.stringify(token));
+// Appends already encoded tokens to the wallets of their issuers
+function appendTokens(storableTokens) {
+    if (isWalletLocked()) {
+        holdTokensUntilUnlock(storableTokens);
+        return;
+    }
+    let byWallet = new Map();
+    storableTokens.forEach(function(t) {
+        const id = walletIdForToken(t);
+        if (!byWallet[id]) {
+            byWallet[id] = [];
+        }
+        byWallet[id].push(t);
     });
+    Object.keys(byWallet).forEach(function(id) {
+        const oldTokens = readStoredTokens(id) || [];
+        writeStoredTokens(id, byWallet[id].concat(oldTokens));
+    });
+
+    // Update the count on the actual icon
+    countStoredTokens();
 }
 
 // SJCL points are cyclic as objects, so we have to flatten them.
+// The issuer commitment, key epoch and issuance time are kept alongside.
+// Blind RSA tokens are recorded with their type and have nothing to flatten.
 function getTokenEncoding(t, curvePoint) {
+    if (t.type == TOKEN_TYPE_BLIND_RSA) {
+        return { type: t.type, token: t.token, commitment: t.commitment, epoch: t.epoch, issued: t.issued };
+    }
     let storablePoint = encodeStorablePoint(curvePoint);
     let storableBlind = t.blind.toString();
-    return { token: t.token, point: storablePoint, blind: storableBlind };
+    return { token: t.token, point: storablePoint, blind: storableBlind, commitment: t.commitment, epoch: t.epoch, issued: t.issued };
 }
 
-function loadTokens() {
-    const storedJSON = localStorage.getItem(STORAGE_KEY_TOKENS);
-    if (storedJSON == null) {
+function loadTokens(issuerId) {
+    const storedTokens = readStoredTokens(issuerId);
+    if (storedTokens == null) {
         return null;
     }
 
-    let usableTokens = [];
-    const storedTokens = JSON.parse(storedJSON);
-    for (var i = 0; i < storedTokens.length; i++) {
-        let t = storedTokens[i];
-        let usablePoint = decodeStorablePoint(t.point);
-        let usableBlind = new sjcl.bn(t.blind);
-        usableTokens[i] = { token: t.token, point: usablePoint, blind: usableBlind };
+    return storedTokens.map(decodeStoredToken);
+}
+
+// Turns a storable token back into one that can be spent
+function decodeStoredToken(t) {
+    if (t.type == TOKEN_TYPE_BLIND_RSA) {
+        return getTokenEncoding(t);
+    }
+    let usablePoint = decodeStorablePoint(t.point);
+    let usableBlind = new sjcl.bn(t.blind);
+    return { token: t.token, point: usablePoint, blind: usableBlind, commitment: t.commitment, epoch: t.epoch, issued: t.issued };
+}
+
+// Returns the id of the wallet a storable token belongs in. Tokens without a
+// commitment were stored before wallets were split by issuer and were all
+// issued by the default issuer.
+function walletIdForToken(t) {
+    return t.commitment ? commitmentId(t.commitment) : getDefaultIssuer().id;
+}
+
+// Returns the ids of all wallets that hold tokens
+function listWalletIds() {
+    if (isWalletEncrypted()) {
+        return vaultWalletIds();
+    }
+    const prefix = STORAGE_KEY_TOKENS + "/";
+    return storageKeys(NS_WALLET).filter(function(key) {
+        return key.indexOf(prefix) === 0;
+    }).map(function(key) {
+        return key.substring(prefix.length);
+    });
+}
+
+// Returns the storable tokens of every wallet in one array
+function readAllStoredTokens() {
+    let all = [];
+    listWalletIds().forEach(function(id) {
+        all = all.concat(readStoredTokens(id) || []);
+    });
+    return all;
+}
+
+// Returns the storable tokens in the issuer's wallet, or null if it is empty
+// or locked
+function readStoredTokens(issuerId) {
+    if (isWalletEncrypted()) {
+        return readVaultTokens(issuerId);
     }
-    return usableTokens;
+    return storageGet(NS_WALLET, STORAGE_KEY_TOKENS + "/" + issuerId);
 }
 
+// Replaces the storable tokens in the issuer's wallet, encrypting them if
+// necessary
+function writeStoredTokens(issuerId, storableTokens) {
+    let written;
+    if (isWalletEncrypted()) {
+        written = writeVaultTokens(issuerId, storableTokens);
+    } else {
+        written = storageSet(NS_WALLET, STORAGE_KEY_TOKENS + "/" + issuerId, storableTokens);
+    }
+    written.catch(function(err) {
+        console.error(err.message);
+    });
+}
+
+// Deletes a wallet altogether
+function removeStoredWallet(walletId) {
+    if (isWalletEncrypted()) {
+        return removeVaultWallet(walletId);
+    }
+    return storageRemove(NS_WALLET, STORAGE_KEY_TOKENS + "/" + walletId);
+}
+
+// Moves the plaintext wallets into an encrypted one
+function setWalletEncryption(passphrase, autoLockMinutes) {
+    const ids = listWalletIds();
+    let plainWallets = {};
+    ids.forEach(function(id) {
+        plainWallets[id] = readStoredTokens(id);
+    });
+    return enableWalletEncryption(passphrase, plainWallets, autoLockMinutes).then(function() {
+        return Promise.all(ids.map(function(id) {
+            return storageRemove(NS_WALLET, STORAGE_KEY_TOKENS + "/" + id);
+        }));
+    });
+}
+
+// Moves the (unlocked) encrypted wallets back to plaintext
+function removeWalletEncryption() {
+    return disableWalletEncryption().then(function(wallets) {
+        return Promise.all(Object.keys(wallets).map(function(id) {
+            return storageSet(NS_WALLET, STORAGE_KEY_TOKENS + "/" + id, wallets[id]);
+        }));
+    });
+}
+
+// Downloads a backup file of all wallets
+function backupWallet() {
+    if (isWalletLocked()) {
+        return Promise.reject(new Error("[privacy-pass]: unlock the wallet before exporting it"));
+    }
+    return downloadWallet(readAllStoredTokens());
+}
+
+// Merges the passes in a backup file into the wallets of their issuers
+//
+// Inputs:
+//  text: contents of a file written by backupWallet
+// Returns:
+//  Promise resolving to { imported, duplicates }
+function restoreWallet(text) {
+    if (isWalletLocked()) {
+        return Promise.reject(new Error("[privacy-pass]: unlock the wallet before importing passes"));
+    }
+    let result;
+    try {
+        result = importWallet(JSON.parse(text), readAllStoredTokens());
+    } catch(e) {
+        return Promise.reject(e);
+    }
+    if (result.tokens.length > 0) {
+        appendTokens(result.tokens);
+    }
+    UpdateCallback();
+    return Promise.resolve({ imported: result.tokens.length, duplicates: result.duplicates });
+}
+
+// Clears the wallets and the spend flags, anything else in storage is kept.
+// The redemption history, which has its own clear button, and the list of
+// burned passes are kept too.
 function clearStorage() {
-    localStorage.clear(function() {
-        if (chrome.runtime.lastError) {
-            console.error(chrome.runtime.lastError.message);
+    Promise.all([storageClear(NS_WALLET), storageClear(NS_SPEND)]).then(function() {
+        if (isWalletEncrypted()) {
+            return clearVaultWallets();
         }
+    }).catch(function(err) {
+        console.error(err.message);
     });
     resetVars();
     resetSpendVars();
@@ -525,16 +1102,22 @@ function clearStorage() {
     UpdateCallback();
 }
 
+// The flag for a host is the name of the provider whose challenge a pass
+// should be spent on, or null to clear it
 function setSpendFlag(key, value) {
+    let persisted;
     if (value) {
-        localStorage.setItem(key, "true");
+        persisted = storageSet(NS_SPEND, key, value);
     } else {
-        localStorage.removeItem(key);
+        persisted = storageRemove(NS_SPEND, key);
     }
+    persisted.catch(function(err) {
+        console.error(err.message);
+    });
 }
 
 function getSpendFlag(key) {
-    return localStorage.getItem(key);
+    return storageGet(NS_SPEND, key);
 }
 
 // We use this function for updating the popup when tokens are cleared
@@ -581,16 +1164,6 @@ function isCookieForTab(hrefs, cookieDomain) {
     return false;
 }
 
-function isErrorPage(url) {
-    let found = false;
-    const errorPagePaths = ["/cdn-cgi/styles/", "/cdn-cgi/scripts/", "/cdn-cgi/images/"];
-    errorPagePaths.forEach(function(str) {
-        if (url.indexOf(str) != -1) {
-            found = true;
-        }
-    });
-    return found;
-}
 
 //  Favicons have caused us problems...
 function isFaviconUrl(url) {
@@ -653,6 +1226,3 @@ function updateIcon(count) {
     }
 }
 
-function isBypassHeader(header) {
-    return header.name.toLowerCase() == CHL_BYPASS_SUPPORT && header.value == "1";
-}
@@ -0,0 +1,191 @@
+/*
+ * Export and import of the wallet as a versioned, checksummed JSON file so
+ * that passes can be moved between browsers and profiles.
+ *
+ * File format (version 1):
+ *
+ *  {
+ *      "format": "privacy-pass-wallet",
+ *      "version": 1,
+ *      "exported": <ms since epoch>,
+ *      "tokens": [{
+ *          "token": <base64 token preimage>,
+ *          "blind": <hex blinding scalar>,
+ *          "point": <base64 SEC1 uncompressed signed point>,
+ *          "commitment": { "G": <base64 SEC1>, "H": <base64 SEC1> } or null,
+ *          "epoch": <key epoch of the commitment> (optional),
+ *          "issued": <ms since epoch> or null
+ *      }, ...],
+ *      "checksum": <hex SHA-256 of JSON.stringify(tokens)>
+ *  }
+ *
+ * Blind RSA tokens are stored as { "type": 2, "token": <base64 Token>,
+ * "commitment": { "publicKey": <base64 SPKI> }, "epoch", "issued" } and are
+ * checked against the public key on import.
+ *
+ * The checksum only catches truncated or edited files, it is not a MAC.
+ */
+
+/*global sjcl*/
+/* exported downloadWallet */
+/* exported importWallet */
+"use strict";
+
+const WALLET_FILE_FORMAT = "privacy-pass-wallet";
+const WALLET_FILE_VERSION = 1;
+const WALLET_FILE_PREFIX = "privacy-pass-wallet-";
+const WALLET_FILE_ERR = "[privacy-pass]: invalid wallet file: ";
+
+// Serializes the stored tokens into the wallet file format
+//
+// Inputs:
+//  storableTokens: array of token encodings as held in the wallet
+// Returns:
+//  wallet file object
+function exportWallet(storableTokens) {
+    const tokens = storableTokens.map(function(t) {
+        if (t.type == TOKEN_TYPE_BLIND_RSA) {
+            return {
+                type: t.type,
+                token: sjcl.codec.base64.fromBits(sjcl.codec.bytes.toBits(t.token)),
+                commitment: t.commitment,
+                epoch: t.epoch,
+                issued: t.issued || null,
+            };
+        }
+        const point = decodeStorablePoint(t.point);
+        return {
+            token: sjcl.codec.base64.fromBits(sjcl.codec.bytes.toBits(t.token)),
+            blind: t.blind,
+            point: sjcl.codec.base64.fromBits(sjcl.codec.bytes.toBits(sec1EncodePoint(point))),
+            commitment: t.commitment || null,
+            epoch: t.epoch,
+            issued: t.issued || null,
+        };
+    });
+    return {
+        format: WALLET_FILE_FORMAT,
+        version: WALLET_FILE_VERSION,
+        exported: Date.now(),
+        tokens: tokens,
+        checksum: walletChecksum(tokens),
+    };
+}
+
+// Validates a wallet file and converts it back to storable tokens. Tokens that
+// are already in the wallet, or repeated in the file, are dropped.
+//
+// Inputs:
+//  file: parsed wallet file object
+//  storableTokens: array of token encodings already held in the wallet
+// Returns:
+//  { tokens: array of new storable tokens, duplicates: number dropped }
+function importWallet(file, storableTokens) {
+    if (!file || file.format !== WALLET_FILE_FORMAT) {
+        throw new Error(WALLET_FILE_ERR + "unrecognised format");
+    }
+    if (file.version !== WALLET_FILE_VERSION) {
+        throw new Error(WALLET_FILE_ERR + "unsupported version " + file.version);
+    }
+    if (!Array.isArray(file.tokens)) {
+        throw new Error(WALLET_FILE_ERR + "missing tokens");
+    }
+    if (file.checksum !== walletChecksum(file.tokens)) {
+        throw new Error(WALLET_FILE_ERR + "checksum mismatch, the file is corrupted");
+    }
+
+    let seen = new Map();
+    storableTokens.forEach(function(t) {
+        seen[sjcl.codec.base64.fromBits(sjcl.codec.bytes.toBits(t.token))] = true;
+    });
+
+    let imported = [];
+    let duplicates = 0;
+    file.tokens.forEach(function(t, i) {
+        if (seen[t.token]) {
+            duplicates++;
+            return;
+        }
+        seen[t.token] = true;
+        imported.push(decodeWalletToken(t, i));
+    });
+    return { tokens: imported, duplicates: duplicates };
+}
+
+// Checks a single exported token and returns its storable encoding
+function decodeWalletToken(t, index) {
+    const where = "token " + index + ": ";
+    if (t.type !== undefined) {
+        return decodeRSAWalletToken(t, where);
+    }
+    let token;
+    let point;
+    let blind;
+    try {
+        token = sjcl.codec.bytes.fromBits(sjcl.codec.base64.toBits(t.token));
+        // sec1DecodePoint checks the tag and that the point is on the curve
+        point = sec1DecodePoint(t.point);
+        blind = new sjcl.bn(t.blind);
+        if (t.commitment) {
+            sec1DecodePoint(t.commitment.G);
+            sec1DecodePoint(t.commitment.H);
+        }
+    } catch(e) {
+        throw new Error(WALLET_FILE_ERR + where + (e.message || e.toString()));
+    }
+    if (token.length == 0) {
+        throw new Error(WALLET_FILE_ERR + where + "empty token");
+    }
+    if (blind.equals(0) || blind.greaterEquals(p256.r)) {
+        throw new Error(WALLET_FILE_ERR + where + "blind out of range");
+    }
+    if (t.epoch !== undefined && !Number.isInteger(t.epoch)) {
+        throw new Error(WALLET_FILE_ERR + where + "invalid epoch");
+    }
+    return {
+        token: token,
+        point: encodeStorablePoint(point),
+        blind: blind.toString(),
+        commitment: t.commitment || undefined,
+        epoch: t.epoch,
+        issued: t.issued || undefined,
+    };
+}
+
+function decodeRSAWalletToken(t, where) {
+    if (t.type !== TOKEN_TYPE_BLIND_RSA) {
+        throw new Error(WALLET_FILE_ERR + where + "unknown token type " + t.type);
+    }
+    if (!t.commitment || typeof t.commitment.publicKey !== "string") {
+        throw new Error(WALLET_FILE_ERR + where + "missing public key");
+    }
+    let token;
+    try {
+        token = sjcl.codec.bytes.fromBits(sjcl.codec.base64.toBits(t.token));
+        if (!verifyRSAToken(token, t.commitment.publicKey)) {
+            throw new Error("signature does not verify");
+        }
+    } catch(e) {
+        throw new Error(WALLET_FILE_ERR + where + (e.message || e.toString()));
+    }
+    if (t.epoch !== undefined && !Number.isInteger(t.epoch)) {
+        throw new Error(WALLET_FILE_ERR + where + "invalid epoch");
+    }
+    return {
+        type: t.type,
+        token: token,
+        commitment: { publicKey: t.commitment.publicKey },
+        epoch: t.epoch,
+        issued: t.issued || undefined,
+    };
+}
+
+// Saves the wallet file for storableTokens in the downloads folder
+function downloadWallet(storableTokens) {
+    return downloadJSON(exportWallet(storableTokens), WALLET_FILE_PREFIX);
+}
+
+function walletChecksum(tokens) {
+    const digest = sjcl.hash.sha256.hash(JSON.stringify(tokens));
+    return sjcl.codec.hex.fromBits(digest);
+}
@@ -0,0 +1,152 @@
+/*
+ * Signed commitment bundles for keys that are loaded at runtime.
+ *
+ * Keys from an issuer directory (see directory.js) come over the network. A
+ * network attacker or a compromised CDN could hand every user a key of their
+ * own and recognise them by it when they redeem. Blind RSA keys are no
+ * different, the id of the key travels in every token. Keys are therefore
+ * only accepted as bundles signed by a long-term ECDSA P-256 key that is
+ * pinned with the issuer in config.js as "bundleKey". A directory entry of a
+ * 2HashDH or VOPRF issuer then looks like
+ *
+ *  { "token-type": <protocol>,
+ *    "bundle": <base64 of the JSON { "G", "H", "epoch", "expiry" }>,
+ *    "signature": <base64 of r || s, ECDSA with SHA-256 over the bundle> }
+ *
+ * and one of a Blind RSA issuer carries the same fields next to those of
+ * RFC 9578, with { "token-key", "epoch", "expiry" } in the bundle, where
+ * token-key is as in the entry. expiry is in seconds since the epoch. The
+ * signature covers the bundle bytes as served, so they are parsed only after
+ * it has been checked.
+ *
+ * Every rejected bundle is logged to the console and kept in a short list
+ * that the options page shows. The errors thrown for them have bundleRejected
+ * set, to tell them from other problems with a directory.
+ */
+
+/*global sjcl*/
+/* exported verifyCommitmentBundle */
+/* exported verifyKeyBundle */
+/* exported recordBundleRejection */
+/* exported getBundleRejections */
+/* exported clearBundleRejections */
+"use strict";
+
+const KEY_BUNDLE_REJECTIONS = "bundle-rejections";
+const BUNDLE_REJECTIONS_MAX = 20;
+const BUNDLE_SIGNATURE_BYTES = 64;
+
+// Verifies a signed bundle of commitments with the issuer's pinned signing
+// key
+//
+// Inputs:
+//  entry: { bundle, signature } from the directory
+//  signingKey: base64 SEC1 point, the issuer's "bundleKey"
+// Returns:
+//  { G, H, epoch, expiry } with expiry in milliseconds
+function verifyCommitmentBundle(entry, signingKey) {
+    const bundle = verifySignedBundle(entry, signingKey);
+    if (typeof bundle.G !== "string" || typeof bundle.H !== "string") {
+        throw bundleError("commitment bundle has no commitments");
+    }
+    try {
+        sec1DecodePoint(bundle.G);
+        sec1DecodePoint(bundle.H);
+    } catch(e) {
+        throw bundleError("commitment bundle has an invalid point");
+    }
+    return { G: bundle.G, H: bundle.H, epoch: bundle.epoch, expiry: bundle.expiry * 1000 };
+}
+
+// Verifies the signed bundle of a Blind RSA key in the same way
+//
+// Inputs:
+//  entry: { token-key, bundle, signature } from the directory
+//  signingKey: base64 SEC1 point, the issuer's "bundleKey"
+// Returns:
+//  { tokenKey, epoch, expiry } with the base64url key and expiry in
+//  milliseconds
+function verifyKeyBundle(entry, signingKey) {
+    const bundle = verifySignedBundle(entry, signingKey);
+    if (typeof bundle["token-key"] !== "string") {
+        throw bundleError("key bundle has no token-key");
+    }
+    if (entry["token-key"] !== undefined && entry["token-key"] !== bundle["token-key"]) {
+        throw bundleError("key bundle is signed for a different token-key");
+    }
+    return { tokenKey: bundle["token-key"], epoch: bundle.epoch, expiry: bundle.expiry * 1000 };
+}
+
+// Checks the signature of a bundle and returns its parsed JSON, with a valid
+// epoch and expiry
+function verifySignedBundle(entry, signingKey) {
+    if (!signingKey) {
+        throw bundleError("no signing key is pinned for bundles");
+    }
+    if (typeof entry.bundle !== "string" || typeof entry.signature !== "string") {
+        throw bundleError("key is not a signed bundle");
+    }
+    let bundleBits, signature;
+    try {
+        bundleBits = sjcl.codec.base64.toBits(entry.bundle);
+        signature = sjcl.codec.base64.toBits(entry.signature);
+    } catch(e) {
+        throw bundleError("bundle is not base64");
+    }
+    if (sjcl.bitArray.bitLength(signature) != 8 * BUNDLE_SIGNATURE_BYTES) {
+        throw bundleError("bundle signature has the wrong length");
+    }
+    const publicKey = new sjcl.ecc.ecdsa.publicKey(p256, sec1DecodePoint(signingKey));
+    try {
+        publicKey.verify(sjcl.hash.sha256.hash(bundleBits), signature);
+    } catch(e) {
+        throw bundleError("bundle signature does not verify");
+    }
+
+    let bundle;
+    try {
+        bundle = JSON.parse(sjcl.codec.utf8String.fromBits(bundleBits));
+    } catch(e) {
+        throw bundleError("bundle is not JSON");
+    }
+    if (bundle === null || typeof bundle !== "object") {
+        throw bundleError("bundle is not an object");
+    }
+    if (!Number.isInteger(bundle.epoch) || bundle.epoch <= 0) {
+        throw bundleError("bundle has an invalid epoch");
+    }
+    if (typeof bundle.expiry !== "number") {
+        throw bundleError("bundle has no expiry");
+    }
+    return bundle;
+}
+
+function bundleError(message) {
+    let err = new Error("[privacy-pass]: " + message);
+    err.bundleRejected = true;
+    return err;
+}
+
+// Adds a rejected bundle to the list shown in the options page, dropping the
+// oldest entries beyond BUNDLE_REJECTIONS_MAX
+//
+// Inputs:
+//  issuer: name of the issuer
+//  url: where the bundle was loaded from
+//  reason: error message
+// Returns:
+//  Promise that resolves once the rejection is stored
+function recordBundleRejection(issuer, url, reason) {
+    let rejections = getBundleRejections();
+    rejections.push({ issuer: issuer, url: url, reason: reason, time: Date.now() });
+    return storageSet(NS_META, KEY_BUNDLE_REJECTIONS, rejections.slice(-BUNDLE_REJECTIONS_MAX));
+}
+
+// Returns the rejected bundles as { issuer, url, reason, time }, oldest first
+function getBundleRejections() {
+    return storageGet(NS_META, KEY_BUNDLE_REJECTIONS) || [];
+}
+
+function clearBundleRejections() {
+    return storageRemove(NS_META, KEY_BUNDLE_REJECTIONS);
+}
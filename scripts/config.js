@@ -5,6 +5,8 @@
  */
 /* exported DevCommitmentConfig */
 /* exported ProdCommitmentConfig */
+/* exported IssuerConfigs */
+/* exported ChallengeProviderConfigs */
 
 const DevCommitmentConfig = {
     "G":"BIpWWWWFtDRODAHEzZlvjKyDwQAdh72mYKMAsGrtwsG7XmMxsy89gfiOFbX3RZ9Ik6jEYWyJB0TmnWNVeeZBt5Y=",
@@ -15,3 +17,102 @@ const ProdCommitmentConfig = {
     "G":"BOidEuO9HSJsMZYE/Pfc5D+0ELn0bqhjEef2O0u+KAw3fPMHHXtVlEBvYjE5I/ONf9SyTFSkH3mLNHkS06Du6hQ=",
     "H":"BHOPNAWXRi4r/NEptOiLOp8MSwcX0vHrVDRXv16Jnowc1eXXo5xFFKIOI6mUp8k9/eca5VY07dBhAe8QfR/FSRY="
 }
+
+// Issuers whose commitments we accept. Tokens from each issuer are kept in a
+// separate wallet. A host is served by the first enabled issuer listing it (or
+// a parent domain) in hosts, and by the default issuer otherwise. Users can
+// switch issuers on and change their hosts in the options page.
+//
+// Every key epoch of an issuer is pinned here in increasing order. When the
+// issuer rotates its key, the new commitment is appended as the next epoch
+// and the old one is kept until its passes have stopped being accepted.
+// Issuers with a "directoryUri", and Blind RSA issuers, also publish their
+// keys in a directory that is fetched at runtime (see directory.js), so
+// rotations don't have to wait for a release. The pinned keys are used when
+// the directory can't be reached. Directory keys are only accepted as bundles
+// signed with the ECDSA P-256 key pinned as the issuer's "bundleKey" (see
+// bundles.js), they are rejected without one. "mirrors" are URLs of
+// independent copies of the directory, tokens are only requested while they
+// agree on the issuer's keys (see consistency.js).
+//
+// protocol is "2hashdh" for the original protocol, "voprf" for issuers
+// following RFC 9497 (see voprf.js) and "blind-rsa" for issuers of publicly
+// verifiable tokens (see rsa.js). The commitments of a VOPRF epoch are
+// compressed points, those of a Blind RSA epoch are { "publicKey": <base64
+// SubjectPublicKeyInfo> } and the issuer also needs an "issuerName", the host
+// name that origins use in their challenges. Its "requestUri" is where tokens
+// for PrivateToken challenges are issued (see auth.js).
+//
+// hashToCurve is how a 2HashDH issuer hashes tokens to the curve. Legacy issuers
+// use { "method": "increment" }, issuers following RFC 9380 use
+// { "method": "sswu", "dst": <domain separation tag> }.
+const IssuerConfigs = [
+    {
+        "name": "production",
+        "protocol": "2hashdh",
+        "epochs": [
+            { "epoch": 1, "commitment": ProdCommitmentConfig },
+        ],
+        "hashToCurve": { "method": "increment" },
+        "hosts": [],
+        "enabled": true,
+        "default": true,
+    },
+    {
+        "name": "staging",
+        "protocol": "2hashdh",
+        "epochs": [
+            { "epoch": 1, "commitment": DevCommitmentConfig },
+        ],
+        "hashToCurve": { "method": "increment" },
+        "hosts": [],
+        "enabled": false,
+    },
+]
+
+// Challenge services whose challenges passes are spent on (see providers.js).
+// Every provider is handled the same way, further services are added as
+// entries here.
+//
+// challenge: a response with this status and header is a challenge that a
+// pass can be spent on. With metaTag set, a page with a captcha-bypass meta
+// tag naming the provider and holding the value is one too (see content.js).
+// metaTag is the default, the options page can switch it per provider.
+// issuance: solution requests are URLs containing one of the markers, or POST
+// requests whose form or JSON body has one of the fields. Bodies are only
+// looked at on paths starting with one of the endpoints and on the
+// captchaDomain. Tokens are sent to the solution URL tagged with tag, with
+// header set and the blinded tokens in the body field named by body, next to
+// the fields of a POST solution. The issuance request is given up after
+// timeout milliseconds (see issuance.js). Tokens are signed by the issuer
+// serving the host, or the provider's "issuer" if no issuer lists it.
+// redemption: the header that carries the pass and the response header in
+// which the service reports the outcome, with the codes of its errors.
+// clearanceCookie: the cookie set once a challenge has been passed.
+// captchaDomain: domain of the service's own challenge page, passes aren't
+// spent there and its clearance cookies are removed so more tokens can be
+// requested.
+// errorPagePaths: resources of the service's error pages, never redeemed on.
+const ChallengeProviderConfigs = [
+    {
+        "name": "cloudflare",
+        "challenge": { "header": "cf-chl-bypass", "value": "1", "status": 403, "metaTag": false },
+        "issuance": {
+            "markers": ["manual_challenge", "g-recaptcha-response", "h-captcha-response"],
+            "fields": ["g-recaptcha-response", "h-captcha-response", "cf-turnstile-response"],
+            "endpoints": ["/cdn-cgi/l/chk_captcha", "/cdn-cgi/challenge-platform/"],
+            "tag": "captcha-bypass=true",
+            "header": { "name": "CF-Chl-Bypass", "value": "1" },
+            "body": "blinded-tokens",
+            "timeout": 15000,
+        },
+        "redemption": {
+            "header": "challenge-bypass-token",
+            "responseHeader": "cf-chl-bypass-resp",
+            "errors": { "verification": "6", "connection": "5" },
+        },
+        "clearanceCookie": "cf_clearance",
+        "captchaDomain": "captcha.website",
+        "errorPagePaths": ["/cdn-cgi/styles/", "/cdn-cgi/scripts/", "/cdn-cgi/images/"],
+    },
+]
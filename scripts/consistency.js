@@ -0,0 +1,215 @@
+/*
+ * Key consistency checking across independent mirrors.
+ *
+ * An issuer could hand a user a key of their own and recognise their passes
+ * by it (see "Tagging by the edge" in PROTOCOL.md). Keys pinned in config.js
+ * are the same for every user of a release, but keys discovered at runtime
+ * are not. Issuers can therefore list "mirrors" in config.js, URLs not under
+ * their control that serve a copy of their directory (see directory.js). The
+ * options page can change them, e.g. to point them at local stand-ins.
+ *
+ * The mirrors are fetched and the keys they list beyond the pinned ones are
+ * compared. Tokens are only requested from an issuer with mirrors while the
+ * mirrors that answered agree, and a key that is neither pinned nor listed by
+ * them is refused. Mirrors that can't be reached don't count, a mirror serving
+ * a document that doesn't validate counts as disagreeing.
+ *
+ * Every key seen, from a mirror or in an issuance, is kept in a local history.
+ */
+
+/* exported checkKeyConsistency */
+/* exported refreshKeyConsistency */
+/* exported isIssuanceConsistent */
+/* exported assertConsistentKey */
+/* exported getKeyConsistency */
+/* exported getKeyHistory */
+/* exported recordSeenKey */
+"use strict";
+
+const KEY_CONSISTENCY = "key-consistency";
+const KEY_HISTORY = "key-history";
+const CONSISTENCY_ALARM = "key-consistency";
+const CONSISTENCY_TTL = 60 * 60 * 1000;
+const KEY_SOURCE_ISSUANCE = "issuance";
+const KEY_UNCONFIRMED_ERR = "[privacy-pass]: key is not confirmed by the mirrors";
+
+// Checks in flight, by issuer name
+let consistencyChecks = new Map();
+
+chrome.alarms.onAlarm.addListener(function(alarm) {
+    if (alarm.name == CONSISTENCY_ALARM) {
+        refreshKeyConsistency();
+    }
+});
+
+// Checks every enabled issuer that has mirrors and sets an alarm to check
+// them again
+//
+// Returns:
+//  Promise that resolves once every check has finished
+function refreshKeyConsistency() {
+    chrome.alarms.create(CONSISTENCY_ALARM, { periodInMinutes: CONSISTENCY_TTL / 60000 });
+    const issuers = getIssuers().filter(function(issuer) {
+        return issuer.enabled && issuer.mirrors.length > 0;
+    });
+    return Promise.all(issuers.map(checkKeyConsistency));
+}
+
+// Fetches the issuer's keys from each of its mirrors and compares them
+//
+// Inputs:
+//  issuer: issuer object from getIssuers()
+// Returns:
+//  Promise of { checked, consistent, keys, mirrors } where keys are the ids
+//  of the keys the mirrors agree on and mirrors has { url, keys } or
+//  { url, error } for each mirror
+function checkKeyConsistency(issuer) {
+    if (consistencyChecks.has(issuer.name)) {
+        return consistencyChecks.get(issuer.name);
+    }
+    const config = IssuerConfigs.filter(function(c) {
+        return c.name == issuer.name;
+    })[0];
+    const check = Promise.all(issuer.mirrors.map(function(url) {
+        return fetchMirrorKeys(config, url);
+    })).then(function(mirrors) {
+        const answered = mirrors.filter(function(m) {
+            return m.keys !== undefined;
+        });
+        const views = answered.map(function(m) {
+            return m.keys.slice().sort().join(",");
+        });
+        const invalid = mirrors.some(function(m) {
+            return m.invalid;
+        });
+        const consistent = !invalid && answered.length > 0 && views.every(function(v) {
+            return v == views[0];
+        });
+        const result = {
+            checked: Date.now(),
+            consistent: consistent,
+            keys: consistent ? answered[0].keys : [],
+            mirrors: mirrors.map(function(m) {
+                return m.error !== undefined ? { url: m.url, error: m.error } : { url: m.url, keys: m.keys };
+            }),
+        };
+        if (!consistent) {
+            console.error("[privacy-pass]: mirrors disagree on the keys of " + issuer.name + ": " + JSON.stringify(result.mirrors));
+        }
+        let state = getKeyConsistency();
+        state[issuer.name] = result;
+        return storageSet(NS_META, KEY_CONSISTENCY, state).then(function() {
+            return result;
+        });
+    });
+    consistencyChecks.set(issuer.name, check);
+    const done = function() {
+        consistencyChecks.delete(issuer.name);
+    };
+    check.then(done, done);
+    return check;
+}
+
+// Checks whether tokens may be requested from issuer. Issuers without mirrors
+// always pass. A stale result starts a new check but still counts, there is
+// no result until the first check has finished.
+function isIssuanceConsistent(issuer) {
+    if (issuer.mirrors.length == 0) {
+        return true;
+    }
+    const result = getKeyConsistency()[issuer.name];
+    if (!result || result.checked + CONSISTENCY_TTL < Date.now()) {
+        checkKeyConsistency(issuer).catch(function(err) {
+            console.error(err.message);
+        });
+    }
+    return !!result && result.consistent;
+}
+
+// Throws unless the issuer may sign with the key of epoch: it is pinned, or
+// the mirrors agree on it. The key is added to the history either way.
+function assertConsistentKey(issuer, epoch) {
+    recordSeenKey(issuer.name, epoch, KEY_SOURCE_ISSUANCE);
+    if (issuer.mirrors.length == 0 || isPinnedEpoch(issuer.name, epoch)) {
+        return;
+    }
+    const result = getKeyConsistency()[issuer.name];
+    if (!result || !result.consistent || result.keys.indexOf(epoch.id) == -1) {
+        throw issueError(ISSUE_PROOF_FAILURE, KEY_UNCONFIRMED_ERR + " of " + issuer.name + ", epoch " + epoch.epoch);
+    }
+}
+
+// Returns the last check result of each issuer, by name
+function getKeyConsistency() {
+    return storageGet(NS_META, KEY_CONSISTENCY) || {};
+}
+
+// Returns every key seen for each issuer, by name, as
+// { id, epoch, commitment, firstSeen, lastSeen, sources }
+function getKeyHistory() {
+    return storageGet(NS_META, KEY_HISTORY) || {};
+}
+
+// Adds a key to the history of the issuer, or updates when it was last seen
+//
+// Inputs:
+//  name: issuer name
+//  epoch: { epoch, commitment, id }
+//  source: mirror URL, or "issuance"
+// Returns:
+//  Promise that resolves once the history is stored
+function recordSeenKey(name, epoch, source) {
+    let history = getKeyHistory();
+    let keys = history[name] || [];
+    let entry = keys.filter(function(k) {
+        return k.id == epoch.id;
+    })[0];
+    if (!entry) {
+        entry = { id: epoch.id, epoch: epoch.epoch, commitment: epoch.commitment, firstSeen: Date.now(), sources: [] };
+        keys.push(entry);
+    }
+    entry.lastSeen = Date.now();
+    if (entry.sources.indexOf(source) == -1) {
+        entry.sources.push(source);
+    }
+    history[name] = keys;
+    return storageSet(NS_META, KEY_HISTORY, history);
+}
+
+// Fetches and validates the directory served by one mirror
+//
+// Returns:
+//  Promise of { url, keys } with the ids of the keys beyond the pinned ones,
+//  or { url, error } with invalid set if the document was served but is bad
+function fetchMirrorKeys(config, url) {
+    return fetch(url, { cache: "no-store", credentials: "omit" }).then(function(resp) {
+        if (!resp.ok) {
+            throw new Error("[privacy-pass]: HTTP status " + resp.status + " from " + url);
+        }
+        return resp.json().then(function(doc) {
+            let validated;
+            try {
+                validated = validateDirectory(config, doc, url);
+            } catch(e) {
+                return { url: url, error: e.message, invalid: true };
+            }
+            const keys = validated.epochs.map(function(e) {
+                const epoch = { epoch: e.epoch, commitment: e.commitment, id: commitmentId(e.commitment) };
+                recordSeenKey(config.name, epoch, url);
+                return epoch.id;
+            });
+            return { url: url, keys: keys };
+        });
+    }).catch(function(err) {
+        return { url: url, error: err.message };
+    });
+}
+
+function isPinnedEpoch(name, epoch) {
+    const config = IssuerConfigs.filter(function(c) {
+        return c.name == name;
+    })[0];
+    return config.epochs.some(function(e) {
+        return commitmentId(e.commitment) == epoch.id;
+    });
+}
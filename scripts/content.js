@@ -1,18 +1,26 @@
 /*
-    This content script is not currently used by the extensions
-    We currently rely on the use of headers returned by sites with Privacy Pass support
-    The option is there to use the HTML tags instead if need be.
+    This content script looks for the captcha-bypass meta tag, for origins that
+    can't return the challenge headers of their provider. The tag names the
+    provider and carries its challenge value:
+
+        <meta id="captcha-bypass" name="<provider name>" content="<challenge value>">
+
+    The background page checks the tag and treats the page as challenged if
+    the provider accepts tags (see providers.js).
  */
 
 // Trigger the token manager if bypass tags are present.
-// Returns a map with the certs on success or null if any of the cert tags don't exist.
+// Returns the name and content of the tag, or null if there is none.
 function getBypassTags() {
     // If there isn't a captcha-bypass meta tag, do nothing.
     var captchaTriggerTag = document.getElementById("captcha-bypass");
     if (captchaTriggerTag !== null && captchaTriggerTag.tagName == "META") {
-        var message = { data: captchaTriggerTag };
-        return message;
+        return {
+            name: captchaTriggerTag.getAttribute("name"),
+            content: captchaTriggerTag.getAttribute("content"),
+        };
     }
+    return null;
 }
 
 // Start from the content script to avoid race conditions - we know the DOM
@@ -20,11 +28,14 @@ function getBypassTags() {
 // This puts us after DOM render but before subresources like frames (i.e. the
 // recaptcha widget) so we have time to cancel the page load if needed.
 // see https://developer.chrome.com/extensions/content_scripts#run_at
-chrome.runtime.sendMessage({
-    "type": "triggerChallengeBypass",
-    "content": getBypassTags(),
-}, function(response) {
-    if (!response && chrome.runtime.lastError) {
-        console.error("[captcha_bypass]: " + chrome.runtime.lastError.message);
-    }
-});
+var bypassTag = getBypassTags();
+if (bypassTag !== null) {
+    chrome.runtime.sendMessage({
+        "type": "triggerChallengeBypass",
+        "content": bypassTag,
+    }, function(response) {
+        if (response === undefined && chrome.runtime.lastError) {
+            console.error("[captcha_bypass]: " + chrome.runtime.lastError.message);
+        }
+    });
+}
@@ -5,6 +5,7 @@
  */
 
 /*global sjcl*/
+/* exported BATCH_PROOF_ERR */
 /* exported CreateBlindToken */
 /* exported checkRequestBinding */
 /* exported compressPoint */
@@ -15,6 +16,7 @@
 /* exported signPoint */
 /* exported unblindPoint */
 /* exported verifyBatchProof */
+/* exported verifyArchivedBatchProof */
 "use strict";
 
 var p256 = sjcl.ecc.curves.c256;
@@ -29,10 +31,10 @@ const DIGEST_INEQUALITY_ERR = "[privacy-pass]: Recomputed digest does not equal
 const PARSE_ERR = "[privacy-pass]: Error parsing proof";
 const INCONSISTENT_BATCH_PROOF_ERR = "[privacy-pass]: Tokens/signatures are inconsistent with batch proof";
 const INCONSISTENT_DLEQ_PROOF_ERR = "[privacy-pass]: Tokens/signatures are inconsistent with underlying DLEQ proof";
+const COEFFICIENT_MISMATCH_ERR = "[privacy-pass]: Batch proof coefficients do not match the ones derived from the tokens";
+const BATCH_PROOF_ERR = "[privacy-pass]: Unable to verify DLEQ proof.";
 
-let activeCommConfig = ProdCommitmentConfig;
-
-// Performs the scalar multiplication k*P
+// Performs the scalar multiplication k*P using the active curve backend
 //
 // Inputs:
 //  k: bigInt scalar (not field element or bits!)
@@ -40,7 +42,7 @@ let activeCommConfig = ProdCommitmentConfig;
 // Returns:
 //  sjcl Point
 function _scalarMult(k, P) {
-    const Q = P.mult(k);
+    const Q = getCurveBackend().scalarMult(k, P);
     return Q;
 }
 
@@ -142,30 +144,52 @@ function checkRequestBinding(key, data, mac) {
 
 // Creates
 // Inputs:
-//  none
+//  h2c: the issuer's hash-to-curve method, { method, dst }, defaults to
+//  try-and-increment
 // Returns:
 //  token bytes
 //  T sjcl point
 //  r blinding factor, sjcl bignum
-function CreateBlindToken() {
-    let t = newRandomPoint();
+function CreateBlindToken(h2c) {
+    let t = newRandomPoint(h2c);
     let bpt = blindPoint(t.point);
     return { token: t.token, point: bpt.point, blind: bpt.blind };
 }
 
-function newRandomPoint() {
+function newRandomPoint(h2c) {
     const byteLength = 32;
     const wordLength = byteLength / 4; // SJCL 4 bytes to a word
 
     // TODO Use webcrypto instead. This is JavaScript Fortuna from 2010.
     var random = sjcl.random.randomWords(wordLength, 10); // paranoia 10
-    var point = hashToCurve(random);
+    var point = hashToCurve(random, h2c);
     return { token: sjcl.codec.bytes.fromBits(random), point: point};
 }
 
+// Hashes the token to the curve with the method the issuer expects
+//
+// Inputs:
+//  seed: bits of the token
+//  h2c: { method, dst } where method is H2C_INCREMENT or H2C_SSWU, and dst
+//  the domain separation tag for SSWU. Defaults to H2C_INCREMENT.
+// Returns:
+//  sjcl point, or null if try-and-increment found none
+function hashToCurve(seed, h2c) {
+    const method = h2c ? h2c.method : H2C_INCREMENT;
+    if (method == H2C_INCREMENT) {
+        return hashToCurveIncrement(seed);
+    }
+    if (method == H2C_SSWU) {
+        return hashToCurveSSWU(sjcl.codec.bytes.fromBits(seed), h2c.dst);
+    }
+    throw new Error("[privacy-pass]: unknown hash-to-curve method: " + method);
+}
+
+// The legacy method that older issuers still use, it tries up to ten hashes
+// of the seed as x coordinates.
 // input: bits
 // output: point
-function hashToCurve(seed) {
+function hashToCurveIncrement(seed) {
     const h = new sjcl.hash.sha256();
 
     // Need to match the Go curve hash, so we decode the exact bytes of the
@@ -206,35 +230,12 @@ function hashToCurve(seed) {
     return null;
 }
 
-// Attempts to decompress the bytes into a curve point following SEC1 and
-// assuming it's a Weierstrass curve with a = -3 and p = 3 mod 4 (true for the
-// main three NIST curves).
+// Attempts to decompress the bytes into a curve point following SEC1, see
+// the backends in curve.js.
 // input: bits of an x coordinate, the even/odd tag
-// output: point
+// output: point, or null if x is not on the curve
 function decompressPoint(xbits, tag) {
-    const x = p256.field.fromBits(xbits).normalize();
-    const sign = tag & 1;
-
-    // y^2 = x^3 - 3x + b (mod p)
-    let rh = x.power(3);
-    let threeTimesX = x.mul(3);
-    rh = rh.sub(threeTimesX).add(p256.b).mod(p256.field.modulus); // mod() normalizes
-
-    // modsqrt(z) for p = 3 mod 4 is z^(p+1/4)
-    const sqrt = p256.field.modulus.add(1).normalize().halveM().halveM();
-    let y = rh.powermod(sqrt, p256.field.modulus);
-
-    let parity = y.limbs[0] & 1;
-
-    if (parity != sign) {
-        y = p256.field.modulus.sub(y).normalize();
-    }
-
-    let point = new sjcl.ecc.point(p256, x, y);
-    if (!point.isValid()) {
-        return null;
-    }
-    return point;
+    return getCurveBackend().decompressPoint(xbits, tag);
 }
 
 // Compresses a point according to SEC1.
@@ -257,8 +258,7 @@ function compressPoint(p) {
 // Returns:
 //  bytes
 function sec1EncodePoint(P) {
-    const pointBits = P.toBits();
-    const xyBytes = sjcl.codec.bytes.fromBits(pointBits);
+    const xyBytes = getCurveBackend().pointToBytes(P);
     return [0x04].concat(xyBytes);
 }
 
@@ -271,8 +271,7 @@ function sec1DecodePoint(p) {
         throw new Error("[privacy-pass]: attempted sec1DecodePoint with incorrect tag: " + p);
     }
     const coordinates = sec1Bytes.slice(1); // remove "uncompressed" tag
-    const pointBits = sjcl.codec.bytes.toBits(coordinates);
-    return p256.fromBits(pointBits);
+    return getCurveBackend().pointFromBytes(coordinates);
 }
 
 // Marshals a point in an SJCL-internal format that can be used with
@@ -302,16 +301,44 @@ function decodeStorablePoint(s) {
 // Verifies the DLEQ proof that is returned when tokens are signed
 // 
 // input: marshaled JSON DLEQ proof
-// output: bool
+// output: { issuer, epoch } for the commitments the proof was made against,
+// or false
 function verifyBatchProof(proof, tokens, signatures) {
     let batchProofM = getMarshaledBatchProof(proof);
-    let bp = unmarshalBatchProof(batchProofM);
+    let bp = unmarshalBatchProof(batchProofM, parseDleqProof);
     if (!bp) {
         // Error has probably occurred
         return false;
     }
-    const chkM = tokens;
-    const chkZ = signatures;
+    if (!checkBatchProof(bp, tokens, signatures)) {
+        return false;
+    }
+    return bp.P.epoch;
+}
+
+// Verifies the batch proof of an archived issuance against the commitments
+// recorded with it, which may no longer be configured
+//
+// Inputs:
+//  proof: the batch proof as it was received
+//  tokens: array of { point } for the blinded tokens
+//  signatures: sjcl points of the signatures
+//  commitment: { G, H } that the proof must be for
+// Returns:
+//  true if the proof verifies
+function verifyArchivedBatchProof(proof, tokens, signatures, commitment) {
+    let batchProofM = getMarshaledBatchProof(proof);
+    let bp = unmarshalBatchProof(batchProofM, function(proofStr) {
+        const dleqProofM = JSON.parse(proofStr);
+        if (dleqProofM.G != commitment.G || dleqProofM.H != commitment.H) {
+            throw new Error(COMMITMENT_MISMATCH_ERR);
+        }
+        return decodeDleqProof(dleqProofM);
+    });
+    return !!bp && checkBatchProof(bp, tokens, signatures);
+}
+
+function checkBatchProof(bp, chkM, chkZ) {
     if (!isBatchProofCompleteAndSane(bp, chkM, chkZ)) {
         return false;
     }
@@ -427,18 +454,74 @@ function isBatchProofCompleteAndSane(bp, chkM, chkZ) {
         }
     }
 
-    // [TODO]: Recompute the PRNG state using knowledge of the tokens that are received.
-    // Verification is not complete until this is done.
-    
+    // The coefficients must be derived from the tokens and signatures rather
+    // than chosen by the issuer, otherwise it could hide a different key for
+    // some of the tokens in the composite points.
+    const C = recomputeCoefficients(G, H, chkM, chkZ);
+    if (bp.C.length !== lenM) {
+        console.error(COEFFICIENT_MISMATCH_ERR);
+        return false;
+    }
+    for (let i=0; i<lenM; i++) {
+        if (!bp.C[i].equals(C[i])) {
+            console.error(COEFFICIENT_MISMATCH_ERR);
+            return false;
+        }
+    }
+
     return true;
 }
 
-// Returns a decoded batch proof as a map
-function unmarshalBatchProof(batchProofM) {
+// Recomputes the batch proof coefficients in the same way as the server. A
+// SHAKE256 stream is seeded with SHA256(G || H || M_1 || Z_1 || ... ) over the
+// uncompressed points and each c_i is drawn from it like a private key in Go's
+// elliptic.GenerateKey.
+//
+// Inputs:
+//  G, H: sjcl points of the commitment
+//  chkM: the tokens that were sent for signing
+//  chkZ: sjcl points of the signatures
+// Returns:
+//  array of sjcl bignums
+function recomputeCoefficients(G, H, chkM, chkZ) {
+    let h = new sjcl.hash.sha256();
+    h.update(sjcl.codec.bytes.toBits(sec1EncodePoint(G)));
+    h.update(sjcl.codec.bytes.toBits(sec1EncodePoint(H)));
+    for (let i=0; i<chkM.length; i++) {
+        h.update(sjcl.codec.bytes.toBits(sec1EncodePoint(chkM[i].point)));
+        h.update(sjcl.codec.bytes.toBits(sec1EncodePoint(chkZ[i])));
+    }
+    const prng = shake256(sjcl.codec.bytes.fromBits(h.finalize()));
+
+    let C = [];
+    for (let i=0; i<chkM.length; i++) {
+        C.push(randomScalar(prng));
+    }
+    return C;
+}
+
+// Reads a scalar in [0, r) from prng exactly as Go's elliptic.GenerateKey
+// does, including its quirk of flipping bits in the second byte.
+function randomScalar(prng) {
+    const byteLength = (p256.r.bitLength() + 7) >> 3;
+    const mask = [0xff, 0x1, 0x3, 0x7, 0xf, 0x1f, 0x3f, 0x7f][p256.r.bitLength() % 8];
+    for (;;) {
+        let bytes = prng.read(byteLength);
+        bytes[0] &= mask;
+        bytes[1] ^= 0x42;
+        const c = sjcl.bn.fromBits(sjcl.codec.bytes.toBits(bytes));
+        if (!c.greaterEquals(p256.r)) {
+            return c;
+        }
+    }
+}
+
+// Returns a decoded batch proof as a map, parseP decodes its DLEQ proof
+function unmarshalBatchProof(batchProofM, parseP) {
     let bp = new Map();
     let dleqProof;
     try {
-        dleqProof = parseDleqProof(atob(batchProofM.P));
+        dleqProof = parseP(atob(batchProofM.P));
     } catch(e) {
         console.error(PARSE_ERR);
         return;
@@ -484,13 +567,19 @@ function getMarshaledBatchProof(proof) {
 // output: DLEQ proof
 function parseDleqProof(proofStr) {
     const dleqProofM = JSON.parse(proofStr);
-    let dleqProof = new Map();
 
     // if we do not have the same commitments then something is wrong
     if (!validateConsistentCommitments(dleqProofM.G, dleqProofM.H)) {
-        throw new Error(COMMITMENT_MISMATCH_ERR);
+        throw issueError(ISSUE_PROOF_FAILURE, COMMITMENT_MISMATCH_ERR);
     }
+    let dleqProof = decodeDleqProof(dleqProofM);
+    dleqProof.epoch = findEpochByCommitment(dleqProofM.G, dleqProofM.H);
+    return dleqProof;
+}
 
+// Decodes the points and scalars of a marshaled DLEQ proof
+function decodeDleqProof(dleqProofM) {
+    let dleqProof = new Map();
     dleqProof.G = sec1DecodePoint(dleqProofM.G);
     dleqProof.M = sec1DecodePoint(dleqProofM.M);
     dleqProof.H = sec1DecodePoint(dleqProofM.H);
@@ -500,10 +589,10 @@ function parseDleqProof(proofStr) {
     return dleqProof;
 }
 
-// Check that the commitments on the proof match the commitments
-// in the extension
+// Check that the commitments on the proof match the commitments of one of
+// the enabled issuers in the extension, pinned or from its directory
 function validateConsistentCommitments(G,H) {
-    if (G != activeCommConfig.G || H != activeCommConfig.H) {
+    if (findIssuerByCommitment(G, H) === null) {
         return false;
     }
     return true;
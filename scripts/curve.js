@@ -0,0 +1,299 @@
+/*
+ * P-256 arithmetic backends.
+ *
+ * The token scheme in crypto.js only needs a handful of curve operations:
+ * scalar multiplication, point decompression and the SEC1 codecs. These are
+ * provided by a backend so that the arithmetic can be swapped without touching
+ * the protocol code. Backends take and return sjcl points and bignums, so the
+ * stored wallet format and everything sent to the edge stay byte-identical
+ * whichever one is active.
+ *
+ *  - sjcl: the original implementation on top of sjcl.ecc
+ *  - bigint: native BigInt arithmetic in Jacobian coordinates with a 4-bit
+ *    fixed window, which is an order of magnitude faster
+ *
+ * Like sjcl, the BigInt backend is not constant time.
+ */
+
+/*global sjcl*/
+/* exported getCurveBackend */
+/* exported setCurveBackend */
+"use strict";
+
+const CURVE_BACKENDS = {
+    sjcl: {
+        scalarMult: sjclScalarMult,
+        decompressPoint: sjclDecompressPoint,
+        pointToBytes: sjclPointToBytes,
+        pointFromBytes: sjclPointFromBytes,
+    },
+    bigint: {
+        scalarMult: bigScalarMult,
+        decompressPoint: bigDecompressPoint,
+        pointToBytes: bigPointToBytes,
+        pointFromBytes: bigPointFromBytes,
+    },
+};
+
+const CURVE_COORDINATE_BYTES = 32;
+const NOT_ON_CURVE_ERR = "[privacy-pass]: point is not on the curve";
+
+// Constants of the BigInt backend. BigInt literals need a newer parser than
+// we lint with, and BigInt may be missing altogether, in which case these stay
+// undefined and the sjcl backend is used instead.
+let B0, B1, B2, B3, B4, B8, B15, WINDOW_BITS;
+let P256_P, P256_N, P256_B, P256_SQRT_EXP;
+
+let curveBackend = CURVE_BACKENDS.sjcl;
+if (typeof BigInt === "function") {
+    initBigIntConstants();
+    curveBackend = CURVE_BACKENDS.bigint;
+}
+
+function getCurveBackend() {
+    return curveBackend;
+}
+
+// Switches to the named backend, "sjcl" or "bigint"
+function setCurveBackend(name) {
+    if (!CURVE_BACKENDS[name]) {
+        throw new Error("[privacy-pass]: unknown curve backend: " + name);
+    }
+    if (name == "bigint" && typeof BigInt !== "function") {
+        throw new Error("[privacy-pass]: the bigint curve backend needs BigInt support");
+    }
+    curveBackend = CURVE_BACKENDS[name];
+}
+
+/* sjcl backend */
+
+function sjclScalarMult(k, P) {
+    return P.mult(k);
+}
+
+// Attempts to decompress the bytes into a curve point following SEC1 and
+// assuming it's a Weierstrass curve with a = -3 and p = 3 mod 4 (true for the
+// main three NIST curves).
+// input: bits of an x coordinate, the even/odd tag
+// output: point
+function sjclDecompressPoint(xbits, tag) {
+    const x = p256.field.fromBits(xbits).normalize();
+    const sign = tag & 1;
+
+    // y^2 = x^3 - 3x + b (mod p)
+    let rh = x.power(3);
+    let threeTimesX = x.mul(3);
+    rh = rh.sub(threeTimesX).add(p256.b).mod(p256.field.modulus); // mod() normalizes
+
+    // modsqrt(z) for p = 3 mod 4 is z^(p+1/4)
+    const sqrt = p256.field.modulus.add(1).normalize().halveM().halveM();
+    let y = rh.powermod(sqrt, p256.field.modulus);
+
+    let parity = y.limbs[0] & 1;
+
+    if (parity != sign) {
+        y = p256.field.modulus.sub(y).normalize();
+    }
+
+    let point = new sjcl.ecc.point(p256, x, y);
+    if (!point.isValid()) {
+        return null;
+    }
+    return point;
+}
+
+// SJCL's native point encoding is the concatenation of the x and y coordinates
+function sjclPointToBytes(P) {
+    return sjcl.codec.bytes.fromBits(P.toBits());
+}
+
+function sjclPointFromBytes(bytes) {
+    return p256.fromBits(sjcl.codec.bytes.toBits(bytes));
+}
+
+/* BigInt backend */
+
+function initBigIntConstants() {
+    B0 = BigInt(0);
+    B1 = BigInt(1);
+    B2 = BigInt(2);
+    B3 = BigInt(3);
+    B4 = BigInt(4);
+    B8 = BigInt(8);
+    B15 = BigInt(15);
+    WINDOW_BITS = BigInt(4);
+
+    P256_P = BigInt("0xffffffff00000001000000000000000000000000ffffffffffffffffffffffff");
+    P256_N = BigInt("0xffffffff00000000ffffffffffffffffbce6faada7179e84f3b9cac2fc632551");
+    P256_B = BigInt("0x5ac635d8aa3a93e7b3ebbd55769886bc651d06b0cc53b0f63bce3c3e27d2604b");
+    // p = 3 mod 4, so square roots are z^((p+1)/4)
+    P256_SQRT_EXP = (P256_P + B1) / B4;
+}
+
+function bigScalarMult(k, P) {
+    const R = jacMult(bnToBig(k), [bnToBig(P.x), bnToBig(P.y), B1]);
+    return jacToPoint(R);
+}
+
+function bigDecompressPoint(xbits, tag) {
+    const x = bytesToBig(sjcl.codec.bytes.fromBits(xbits)) % P256_P;
+    const rh = fmod(x * x * x - B3 * x + P256_B);
+    let y = powMod(rh, P256_SQRT_EXP, P256_P);
+    if ((y & B1) != BigInt(tag & 1)) {
+        y = fmod(-y);
+    }
+    // rh had no square root if this fails
+    if (fmod(y * y) != rh) {
+        return null;
+    }
+    return bigToPoint(x, y);
+}
+
+function bigPointToBytes(P) {
+    return bigToBytes(bnToBig(P.x)).concat(bigToBytes(bnToBig(P.y)));
+}
+
+function bigPointFromBytes(bytes) {
+    if (bytes.length != 2 * CURVE_COORDINATE_BYTES) {
+        throw new Error(NOT_ON_CURVE_ERR);
+    }
+    const x = bytesToBig(bytes.slice(0, CURVE_COORDINATE_BYTES));
+    const y = bytesToBig(bytes.slice(CURVE_COORDINATE_BYTES));
+    if (x >= P256_P || y >= P256_P || fmod(y * y) != fmod(x * x * x - B3 * x + P256_B)) {
+        throw new Error(NOT_ON_CURVE_ERR);
+    }
+    return bigToPoint(x, y);
+}
+
+// Computes k*P with a fixed 4-bit window. Points are [X, Y, Z] in Jacobian
+// coordinates and null is the point at infinity.
+function jacMult(k, P) {
+    k = k % P256_N;
+    let table = [null, P];
+    for (let i = 2; i < 16; i++) {
+        table.push(jacAdd(table[i - 1], P));
+    }
+
+    let digits = [];
+    for (; k > B0; k >>= WINDOW_BITS) {
+        digits.push(Number(k & B15));
+    }
+
+    let R = null;
+    for (let i = digits.length - 1; i >= 0; i--) {
+        R = jacDouble(jacDouble(jacDouble(jacDouble(R))));
+        R = jacAdd(R, table[digits[i]]);
+    }
+    return R;
+}
+
+// dbl-2001-b, for curves with a = -3
+function jacDouble(P) {
+    if (P === null || P[1] == B0) {
+        return null;
+    }
+    const X = P[0], Y = P[1], Z = P[2];
+    const delta = fmod(Z * Z);
+    const gamma = fmod(Y * Y);
+    const beta = fmod(X * gamma);
+    const alpha = fmod(B3 * (X - delta) * (X + delta));
+    const X3 = fmod(alpha * alpha - B8 * beta);
+    const Z3 = fmod((Y + Z) * (Y + Z) - gamma - delta);
+    const Y3 = fmod(alpha * (B4 * beta - X3) - B8 * gamma * gamma);
+    return [X3, Y3, Z3];
+}
+
+// add-2007-bl
+function jacAdd(P, Q) {
+    if (P === null) {
+        return Q;
+    }
+    if (Q === null) {
+        return P;
+    }
+    const Z1Z1 = fmod(P[2] * P[2]);
+    const Z2Z2 = fmod(Q[2] * Q[2]);
+    const U1 = fmod(P[0] * Z2Z2);
+    const U2 = fmod(Q[0] * Z1Z1);
+    const S1 = fmod(P[1] * Q[2] * Z2Z2);
+    const S2 = fmod(Q[1] * P[2] * Z1Z1);
+    const H = fmod(U2 - U1);
+    const r = fmod(B2 * (S2 - S1));
+    if (H == B0) {
+        return r == B0 ? jacDouble(P) : null;
+    }
+    const I = fmod(B4 * H * H);
+    const J = fmod(H * I);
+    const V = fmod(U1 * I);
+    const X3 = fmod(r * r - J - B2 * V);
+    const Y3 = fmod(r * (V - X3) - B2 * S1 * J);
+    const Z3 = fmod(((P[2] + Q[2]) * (P[2] + Q[2]) - Z1Z1 - Z2Z2) * H);
+    return [X3, Y3, Z3];
+}
+
+function jacToPoint(P) {
+    if (P === null) {
+        return new sjcl.ecc.point(p256);
+    }
+    const zinv = invMod(P[2], P256_P);
+    const zinv2 = fmod(zinv * zinv);
+    return bigToPoint(fmod(P[0] * zinv2), fmod(P[1] * zinv2 * zinv));
+}
+
+function fmod(a) {
+    const r = a % P256_P;
+    return r < B0 ? r + P256_P : r;
+}
+
+function powMod(base, exp, m) {
+    let result = B1;
+    base = base % m;
+    for (; exp > B0; exp >>= B1) {
+        if (exp & B1) {
+            result = (result * base) % m;
+        }
+        base = (base * base) % m;
+    }
+    return result;
+}
+
+// Extended Euclid, a must be non-zero mod m
+function invMod(a, m) {
+    let t = B0, newT = B1;
+    let r = m, newR = a % m;
+    while (newR != B0) {
+        const q = r / newR;
+        [t, newT] = [newT, t - q * newT];
+        [r, newR] = [newR, r - q * newR];
+    }
+    return t < B0 ? t + m : t;
+}
+
+function bnToBig(bn) {
+    return BigInt(bn.toString());
+}
+
+function bigToPoint(x, y) {
+    return new sjcl.ecc.point(p256, new p256.field(x.toString(16)), new p256.field(y.toString(16)));
+}
+
+function bytesToBig(bytes) {
+    let hex = "0x0";
+    for (let i = 0; i < bytes.length; i++) {
+        hex += (bytes[i] < 16 ? "0" : "") + bytes[i].toString(16);
+    }
+    return BigInt(hex);
+}
+
+// Big-endian, left-padded to the coordinate size
+function bigToBytes(v) {
+    let hex = v.toString(16);
+    while (hex.length < 2 * CURVE_COORDINATE_BYTES) {
+        hex = "0" + hex;
+    }
+    let bytes = [];
+    for (let i = 0; i < hex.length; i += 2) {
+        bytes.push(parseInt(hex.substring(i, i + 2), 16));
+    }
+    return bytes;
+}
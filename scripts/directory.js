@@ -0,0 +1,370 @@
+/*
+ * Discovery of issuer keys from their directory documents.
+ *
+ * The keys in config.js are pinned into each release. An issuer with a
+ * directory also publishes its keys as JSON, so that rotations reach clients
+ * without a new release. Blind RSA issuers publish the directory of RFC 9578,
+ * section 4, at /.well-known/private-token-issuer-directory on their
+ * issuerName, any issuer can set a "directoryUri" in config.js instead:
+ *
+ *  { "issuer-request-uri": <URI for PrivateToken issuance, optional>,
+ *    "token-keys": [ { "token-type": 2,
+ *                      "token-key": <base64url SubjectPublicKeyInfo>,
+ *                      "not-before": <seconds since the epoch, optional>,
+ *                      "epoch": <optional>,
+ *                      "bundle", "signature" }, ... ] }
+ *
+ * Every key has to come with a bundle signed by the issuer's pinned key (see
+ * bundles.js), which carries its epoch and expiry. The keys of a 2HashDH or
+ * VOPRF issuer are given by their bundle alone. A directory with a bundle
+ * that doesn't verify is rejected and its cached copy kept.
+ *
+ * Keys become epochs of the issuer in addition to the pinned ones. A key
+ * without an epoch takes the number of the pinned epoch with the same key,
+ * or the next unused number in the order of not-before. A directory that
+ * gives a pinned epoch a different key is rejected as a whole.
+ *
+ * Directories are cached according to their HTTP cache headers and refreshed
+ * when they expire. If a refresh fails the last valid directory is kept for
+ * up to DIRECTORY_MAX_STALE past its expiry, after that only the pinned keys
+ * are used. Failed refreshes are retried after DIRECTORY_MIN_TTL.
+ */
+
+/*global sjcl*/
+/* exported directoryUriFor */
+/* exported directoryEpochs */
+/* exported directoryRequestUri */
+/* exported directoryStatus */
+/* exported refreshDirectories */
+/* exported validateDirectory */
+"use strict";
+
+const KEY_DIRECTORIES = "directories";
+const DIRECTORY_ALARM = "issuer-directory";
+const DIRECTORY_PATH = "/.well-known/private-token-issuer-directory";
+const DIRECTORY_TYPE = "application/private-token-issuer-directory";
+const DIRECTORY_DEFAULT_TTL = 24 * 60 * 60 * 1000;
+const DIRECTORY_MIN_TTL = 5 * 60 * 1000;
+const DIRECTORY_MAX_TTL = 7 * 24 * 60 * 60 * 1000;
+const DIRECTORY_MAX_STALE = 7 * 24 * 60 * 60 * 1000;
+
+chrome.alarms.onAlarm.addListener(function(alarm) {
+    if (alarm.name == DIRECTORY_ALARM) {
+        refreshDirectories();
+    }
+});
+
+// Returns the URL of the directory of an issuer in config.js, or null if it
+// doesn't publish one
+function directoryUriFor(config) {
+    if (config.directoryUri) {
+        return config.directoryUri;
+    }
+    if (config.protocol == PROTOCOL_BLIND_RSA && config.issuerName) {
+        return "https://" + config.issuerName + DIRECTORY_PATH;
+    }
+    return null;
+}
+
+// Returns the epochs of an issuer in config.js that its directory adds to
+// the pinned ones, as { epoch, commitment }. Keys from expired bundles are
+// left out.
+function directoryEpochs(config) {
+    const entry = usableDirectory(config);
+    if (!entry) {
+        return [];
+    }
+    return entry.epochs.filter(function(e) {
+        return !e.expiry || e.expiry > Date.now();
+    }).map(function(e) {
+        return { epoch: e.epoch, commitment: e.commitment };
+    });
+}
+
+// Returns the issuance URI from the directory of an issuer, or undefined
+function directoryRequestUri(config) {
+    const entry = usableDirectory(config);
+    return entry && entry.requestUri ? entry.requestUri : undefined;
+}
+
+// Returns { url, fetched, expires, retry, keys, error } describing the
+// directory of an issuer in config.js, or null if it has none
+function directoryStatus(config) {
+    const url = directoryUriFor(config);
+    if (url === null) {
+        return null;
+    }
+    const entry = getDirectoryState()[config.name] || {};
+    return {
+        url: url,
+        fetched: entry.fetched || null,
+        expires: entry.expires || null,
+        retry: entry.retry || null,
+        keys: usableDirectory(config) ? entry.epochs.length : 0,
+        error: entry.error || null,
+    };
+}
+
+// Fetches the directories of all issuers whose cached copy has expired, and
+// sets an alarm for the next expiry
+//
+// Inputs:
+//  force: refetch every directory, even if the cached copy is fresh
+// Returns:
+//  Promise that resolves once every directory has been tried
+function refreshDirectories(force) {
+    const due = IssuerConfigs.filter(function(config) {
+        if (directoryUriFor(config) === null) {
+            return false;
+        }
+        const entry = getDirectoryState()[config.name];
+        return force || !entry || nextDirectoryFetch(entry) <= Date.now();
+    });
+    return Promise.all(due.map(fetchDirectory)).then(scheduleDirectoryAlarm);
+}
+
+// Fetches and validates the directory of one issuer, revalidating the cached
+// copy if it has an ETag or Last-Modified. Failures are recorded in the state
+// and leave the cached copy in place.
+function fetchDirectory(config) {
+    const url = directoryUriFor(config);
+    const cached = getDirectoryState()[config.name] || {};
+    let headers = { "Accept": DIRECTORY_TYPE + ", application/json" };
+    if (cached.url == url && cached.etag) {
+        headers["If-None-Match"] = cached.etag;
+    }
+    if (cached.url == url && cached.lastModified) {
+        headers["If-Modified-Since"] = cached.lastModified;
+    }
+    return fetch(url, { headers: headers, cache: "no-store", credentials: "omit" }).then(function(resp) {
+        const expires = Date.now() + cacheLifetime(resp.headers);
+        if (resp.status == 304 && cached.epochs) {
+            return updateDirectoryState(config.name, Object.assign({}, cached, { expires: expires, retry: null, error: null }));
+        }
+        if (!resp.ok) {
+            throw new Error("[privacy-pass]: HTTP status " + resp.status + " from " + url);
+        }
+        return resp.json().then(function(doc) {
+            let validated;
+            try {
+                validated = validateDirectory(config, doc, url);
+            } catch(e) {
+                if (e.bundleRejected) {
+                    recordBundleRejection(config.name, url, e.message);
+                }
+                throw e;
+            }
+            return updateDirectoryState(config.name, {
+                url: url,
+                epochs: validated.epochs,
+                requestUri: validated.requestUri,
+                etag: resp.headers.get("ETag"),
+                lastModified: resp.headers.get("Last-Modified"),
+                fetched: Date.now(),
+                expires: expires,
+                retry: null,
+                error: null,
+            });
+        });
+    }).catch(function(err) {
+        console.error(err.message);
+        // Retry after the shortest lifetime rather than on every refresh. The
+        // expiry is kept, it decides how long the cached copy stays usable.
+        return updateDirectoryState(config.name, Object.assign({}, cached, {
+            retry: Date.now() + DIRECTORY_MIN_TTL,
+            error: err.message,
+        }));
+    });
+}
+
+// Checks a directory document against the pinned epochs of an issuer
+//
+// Inputs:
+//  config: issuer in config.js
+//  doc: the parsed directory document
+//  url: URL the document was fetched from, relative URIs are resolved
+//  against it
+// Returns:
+//  { epochs, requestUri } where epochs are the keys that are valid now and
+//  not pinned, as { epoch, commitment, expiry } in increasing order
+function validateDirectory(config, doc, url) {
+    if (!doc || !Array.isArray(doc["token-keys"]) || doc["token-keys"].length == 0) {
+        throw new Error("[privacy-pass]: directory has no token-keys");
+    }
+
+    let requestUri;
+    if (doc["issuer-request-uri"] !== undefined) {
+        const resolved = new URL(String(doc["issuer-request-uri"]), url);
+        if (resolved.protocol != "https:") {
+            throw new Error("[privacy-pass]: directory issuer-request-uri must be https");
+        }
+        requestUri = resolved.href;
+    }
+
+    const now = Date.now();
+    let keys = [];
+    doc["token-keys"].forEach(function(key, i) {
+        const notBefore = key["not-before"];
+        if (notBefore !== undefined && (typeof notBefore !== "number" || notBefore < 0)) {
+            throw new Error("[privacy-pass]: directory key " + i + " has an invalid not-before");
+        }
+        if (key.epoch !== undefined && !(Number.isInteger(key.epoch) && key.epoch > 0)) {
+            throw new Error("[privacy-pass]: directory key " + i + " has an invalid epoch");
+        }
+        const decoded = directoryCommitment(config, key, i);
+        if (key.epoch !== undefined && decoded.epoch !== undefined && key.epoch != decoded.epoch) {
+            throw new Error("[privacy-pass]: directory key " + i + " is listed for epoch " + key.epoch + " but signed for " + decoded.epoch);
+        }
+        // Keys announced ahead of a rotation are picked up once they start
+        if (notBefore !== undefined && notBefore * 1000 > now) {
+            return;
+        }
+        if (decoded.expiry !== undefined && decoded.expiry <= now) {
+            return;
+        }
+        keys.push({
+            epoch: decoded.epoch !== undefined ? decoded.epoch : key.epoch,
+            commitment: decoded.commitment,
+            expiry: decoded.expiry,
+            notBefore: notBefore || 0,
+        });
+    });
+
+    let used = new Map();
+    config.epochs.forEach(function(e) {
+        used[e.epoch] = commitmentId(e.commitment);
+    });
+    let next = Math.max.apply(null, config.epochs.map(function(e) {
+        return e.epoch;
+    }));
+    keys.forEach(function(key) {
+        if (key.epoch !== undefined) {
+            next = Math.max(next, key.epoch);
+        }
+    });
+
+    let epochs = [];
+    keys.sort(function(a, b) {
+        return a.notBefore - b.notBefore;
+    }).forEach(function(key) {
+        const id = commitmentId(key.commitment);
+        let epoch = key.epoch;
+        if (epoch === undefined) {
+            const pinned = config.epochs.filter(function(e) {
+                return commitmentId(e.commitment) == id;
+            })[0];
+            epoch = pinned ? pinned.epoch : ++next;
+        }
+        if (used[epoch] !== undefined) {
+            if (used[epoch] != id) {
+                throw new Error("[privacy-pass]: directory has a different key for epoch " + epoch);
+            }
+            return;
+        }
+        used[epoch] = id;
+        epochs.push({ epoch: epoch, commitment: key.commitment, expiry: key.expiry });
+    });
+    epochs.sort(function(a, b) {
+        return a.epoch - b.epoch;
+    });
+    return { epochs: epochs, requestUri: requestUri };
+}
+
+// Decodes a key of the directory into the commitment format of config.js,
+// checking that it is usable with the issuer's protocol
+//
+// Returns:
+//  { commitment, epoch, expiry } from the signed bundle of the key. Errors
+//  from the bundle keep bundleRejected.
+function directoryCommitment(config, key, i) {
+    const protocol = config.protocol || PROTOCOL_LEGACY;
+    const expectedType = protocol == PROTOCOL_BLIND_RSA ? TOKEN_TYPE_BLIND_RSA : protocol;
+    if (key["token-type"] !== expectedType) {
+        throw new Error("[privacy-pass]: directory key " + i + " has token-type " + key["token-type"] + ", expected " + expectedType);
+    }
+    try {
+        if (protocol == PROTOCOL_BLIND_RSA) {
+            const bundle = verifyKeyBundle(key, config.bundleKey);
+            const der = sjcl.codec.base64url.toBits(bundle.tokenKey.replace(/=+$/, ""));
+            const publicKey = sjcl.codec.base64.fromBits(der);
+            parseRSAPublicKey(publicKey);
+            return { commitment: { publicKey: publicKey }, epoch: bundle.epoch, expiry: bundle.expiry };
+        }
+        const bundle = verifyCommitmentBundle(key, config.bundleKey);
+        return { commitment: { G: bundle.G, H: bundle.H }, epoch: bundle.epoch, expiry: bundle.expiry };
+    } catch(e) {
+        let err = new Error("[privacy-pass]: directory key " + i + " is invalid: " + e.message.replace(/^\[privacy-pass\]: /, ""));
+        err.bundleRejected = !!e.bundleRejected;
+        throw err;
+    }
+}
+
+// Returns the lifetime in milliseconds of a response from its Cache-Control,
+// Age and Expires headers, clamped so that directories are neither fetched
+// on every refresh nor kept for too long
+function cacheLifetime(headers) {
+    let lifetime = null;
+    const cacheControl = (headers.get("Cache-Control") || "").toLowerCase();
+    if (/(^|,)\s*(no-store|no-cache)\s*(,|$)/.test(cacheControl)) {
+        lifetime = 0;
+    } else {
+        const maxAge = /(^|,)\s*max-age\s*=\s*"?(\d+)"?/.exec(cacheControl);
+        if (maxAge) {
+            lifetime = parseInt(maxAge[2], 10) * 1000 - (parseInt(headers.get("Age"), 10) || 0) * 1000;
+        } else if (headers.get("Expires")) {
+            const expires = Date.parse(headers.get("Expires"));
+            const date = Date.parse(headers.get("Date")) || Date.now();
+            // An invalid Expires means already expired
+            lifetime = isNaN(expires) ? 0 : expires - date;
+        }
+    }
+    if (lifetime === null) {
+        lifetime = DIRECTORY_DEFAULT_TTL;
+    }
+    return Math.min(Math.max(lifetime, DIRECTORY_MIN_TTL), DIRECTORY_MAX_TTL);
+}
+
+// Returns the cached directory of an issuer if it is still fit to use, the
+// URL may have changed with a new release
+function usableDirectory(config) {
+    const entry = getDirectoryState()[config.name];
+    if (!entry || !entry.epochs || entry.url != directoryUriFor(config)) {
+        return null;
+    }
+    if (entry.expires + DIRECTORY_MAX_STALE < Date.now()) {
+        return null;
+    }
+    return entry;
+}
+
+function scheduleDirectoryAlarm() {
+    const state = getDirectoryState();
+    let next = null;
+    Object.keys(state).forEach(function(name) {
+        const due = nextDirectoryFetch(state[name]);
+        if (next === null || due < next) {
+            next = due;
+        }
+    });
+    if (next === null) {
+        chrome.alarms.clear(DIRECTORY_ALARM);
+        return;
+    }
+    chrome.alarms.create(DIRECTORY_ALARM, { when: Math.max(next, Date.now() + DIRECTORY_MIN_TTL) });
+}
+
+// Returns when a cached directory is to be fetched again: when it expires,
+// or after a failed refresh when it may be retried
+function nextDirectoryFetch(entry) {
+    return Math.max(entry.expires || 0, entry.retry || 0);
+}
+
+function getDirectoryState() {
+    return storageGet(NS_META, KEY_DIRECTORIES) || {};
+}
+
+function updateDirectoryState(name, entry) {
+    let state = getDirectoryState();
+    state[name] = entry;
+    return storageSet(NS_META, KEY_DIRECTORIES, state);
+}
@@ -0,0 +1,231 @@
+/*
+ * Key rotation handling for issuer epochs.
+ *
+ * Tokens are tagged with the commitment and epoch of the key that signed them
+ * and every epoch has a wallet of its own. When an issuance is verified under
+ * a later epoch than any seen before, the issuer has rotated its key. As in
+ * the sliding window described in PROTOCOL.md, passes from the epoch just
+ * before the new one can still be spent for a grace period. After that, or
+ * straight away for anything older, the epoch is retired. An epoch is also
+ * retired as soon as the edge rejects one of its passes.
+ *
+ * Wallets of retired epochs are either pruned or quarantined, depending on
+ * the settings. Quarantined passes are kept, and included in backups, but are
+ * never spent or counted. Wallets of epochs that no issuer lists, such as the
+ * epochs of a directory that can't be fetched for a while, are always
+ * quarantined rather than pruned, they can be spent again once the epoch is
+ * known. Only the user discards them.
+ */
+
+/* exported recordIssuedEpoch */
+/* exported recordRejectedWallet */
+/* exported isWalletRetired */
+/* exported spendableWalletIds */
+/* exported pruneRetiredWallets */
+/* exported discardQuarantinedTokens */
+/* exported countQuarantinedTokens */
+/* exported scheduleEpochAlarm */
+/* exported getEpochSettings */
+/* exported setEpochSettings */
+"use strict";
+
+const KEY_EPOCH_STATE = "epochs";
+const KEY_EPOCH_SETTINGS = "stale-tokens";
+const EPOCH_ALARM = "epoch-grace";
+const STALE_PRUNE = "prune";
+const STALE_QUARANTINE = "quarantine";
+const HOUR = 60 * 60 * 1000;
+
+const DEFAULT_EPOCH_SETTINGS = {
+    mode: STALE_QUARANTINE,
+    graceHours: 24,
+};
+
+chrome.alarms.onAlarm.addListener(function(alarm) {
+    if (alarm.name == EPOCH_ALARM) {
+        pruneRetiredWallets();
+    }
+});
+
+// Records that the issuer has signed tokens under epoch, and starts the grace
+// window of the previous epoch if this is a rotation.
+//
+// Inputs:
+//  issuer: issuer object from getIssuers()
+//  epoch: the epoch entry of the issuer that the tokens were verified against
+// Returns:
+//  Promise that resolves once stale wallets have been handled
+function recordIssuedEpoch(issuer, epoch) {
+    let state = getEpochState();
+    const seen = state[issuer.name] || { epoch: 0, rotated: 0, retired: [] };
+    if (epoch.epoch <= seen.epoch) {
+        return Promise.resolve();
+    }
+    state[issuer.name] = { epoch: epoch.epoch, rotated: Date.now(), retired: seen.retired };
+    return storageSet(NS_META, KEY_EPOCH_STATE, state).then(function() {
+        scheduleEpochAlarm();
+        return pruneRetiredWallets();
+    });
+}
+
+// Retires the epoch of walletId after the edge rejected one of its passes.
+// The newest pinned epoch of an issuer is never retired this way, a rejection
+// there points at a problem other than rotation.
+//
+// Returns:
+//  Promise that resolves once stale wallets have been handled
+function recordRejectedWallet(walletId) {
+    const match = findWalletEpoch(walletId);
+    if (match === null) {
+        return Promise.resolve();
+    }
+    const epochs = match.issuer.epochs;
+    if (match.epoch.epoch >= epochs[epochs.length - 1].epoch) {
+        return Promise.resolve();
+    }
+    let state = getEpochState();
+    let seen = state[match.issuer.name] || { epoch: 0, rotated: 0, retired: [] };
+    if (seen.retired.indexOf(match.epoch.epoch) != -1) {
+        return Promise.resolve();
+    }
+    seen.retired.push(match.epoch.epoch);
+    state[match.issuer.name] = seen;
+    return storageSet(NS_META, KEY_EPOCH_STATE, state).then(pruneRetiredWallets);
+}
+
+// Checks whether the passes in walletId may no longer be spent. Wallets that
+// don't belong to any known epoch are always retired.
+function isWalletRetired(walletId) {
+    const match = findWalletEpoch(walletId);
+    if (match === null) {
+        return true;
+    }
+    const seen = getEpochState()[match.issuer.name];
+    if (!seen) {
+        return false;
+    }
+    if (seen.retired.indexOf(match.epoch.epoch) != -1) {
+        return true;
+    }
+    if (match.epoch.epoch >= seen.epoch) {
+        return false;
+    }
+    const previous = match.issuer.epochs.filter(function(e) {
+        return e.epoch < seen.epoch;
+    }).pop();
+    const graceEnds = seen.rotated + getEpochSettings().graceHours * HOUR;
+    return !previous || match.epoch.epoch != previous.epoch || Date.now() >= graceEnds;
+}
+
+// Returns the wallet ids of the issuer's epochs that can be spent from,
+// oldest first so that passes in their grace window are used up before
+// they expire.
+function spendableWalletIds(issuer) {
+    return issuer.epochs.map(function(e) {
+        return e.id;
+    }).filter(function(id) {
+        return !isWalletRetired(id);
+    });
+}
+
+// Deletes the wallets of retired epochs, unless they are to be quarantined,
+// and updates the count on the icon. Wallets of unknown epochs are kept.
+//
+// Returns:
+//  Promise that resolves once the wallets have been removed
+function pruneRetiredWallets() {
+    if (getEpochSettings().mode != STALE_PRUNE) {
+        countStoredTokens();
+        return Promise.resolve();
+    }
+    return removeWallets(listWalletIds().filter(function(id) {
+        return findWalletEpoch(id) !== null && isWalletRetired(id);
+    }));
+}
+
+// Deletes the wallets of all retired and unknown epochs, at the user's request
+function discardQuarantinedTokens() {
+    return removeWallets(listWalletIds().filter(isWalletRetired));
+}
+
+function removeWallets(ids) {
+    return Promise.all(ids.map(removeStoredWallet)).then(function() {
+        countStoredTokens();
+        UpdateCallback();
+    });
+}
+
+// Returns the number of passes held in the wallets of retired epochs
+function countQuarantinedTokens() {
+    let count = 0;
+    listWalletIds().filter(isWalletRetired).forEach(function(id) {
+        count += countStoredTokens(id);
+    });
+    return count;
+}
+
+// Sets an alarm for the end of the earliest grace window that is still open
+function scheduleEpochAlarm() {
+    const grace = getEpochSettings().graceHours * HOUR;
+    const state = getEpochState();
+    let next = null;
+    Object.keys(state).forEach(function(name) {
+        const ends = state[name].rotated + grace;
+        if (ends > Date.now() && (next === null || ends < next)) {
+            next = ends;
+        }
+    });
+    if (next === null) {
+        chrome.alarms.clear(EPOCH_ALARM);
+        return;
+    }
+    chrome.alarms.create(EPOCH_ALARM, { when: next });
+}
+
+// Returns how retired passes are handled, merged over the defaults
+//
+// Returns:
+//  { mode: "prune" | "quarantine", graceHours }
+function getEpochSettings() {
+    const stored = storageGet(NS_SETTINGS, KEY_EPOCH_SETTINGS) || {};
+    return Object.assign({}, DEFAULT_EPOCH_SETTINGS, stored);
+}
+
+// Validates and stores the settings for retired passes, then applies them
+//
+// Returns:
+//  Promise that rejects if the settings are invalid
+function setEpochSettings(settings) {
+    if (settings.mode != STALE_PRUNE && settings.mode != STALE_QUARANTINE) {
+        return Promise.reject(new Error("[privacy-pass]: unknown mode for expired passes: " + settings.mode));
+    }
+    if (!(settings.graceHours >= 0)) {
+        return Promise.reject(new Error("[privacy-pass]: grace period must be zero or more hours"));
+    }
+    const stored = { mode: settings.mode, graceHours: settings.graceHours };
+    return storageSet(NS_SETTINGS, KEY_EPOCH_SETTINGS, stored).then(function() {
+        scheduleEpochAlarm();
+        return pruneRetiredWallets();
+    });
+}
+
+// Returns { issuer, epoch } for the epoch that walletId belongs to, or null.
+// Disabled issuers are included so their wallets are not mistaken for
+// orphans.
+function findWalletEpoch(walletId) {
+    const issuers = getIssuers();
+    for (let i = 0; i < issuers.length; i++) {
+        const epochs = issuers[i].epochs;
+        for (let j = 0; j < epochs.length; j++) {
+            if (epochs[j].id == walletId) {
+                return { issuer: issuers[i], epoch: epochs[j] };
+            }
+        }
+    }
+    return null;
+}
+
+// Latest epoch seen per issuer name, as { epoch, rotated, retired }
+function getEpochState() {
+    return storageGet(NS_META, KEY_EPOCH_STATE) || {};
+}
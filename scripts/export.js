@@ -0,0 +1,193 @@
+/*
+ * Export sinks for newly issued tokens.
+ *
+ * Every sink receives the storable encodings of the tokens from one issuance
+ * response and returns a Promise. Sinks are switched on and off in the
+ * settings; storing the tokens in the local wallet is on by default.
+ */
+
+/* exported EXPORT_SINKS */
+/* exported exportTokens */
+/* exported getExportSettings */
+/* exported setExportSettings */
+/* exported postJSON */
+/* exported downloadJSON */
+/* exported downloadFile */
+"use strict";
+
+const KEY_EXPORT_SETTINGS = "export-sinks";
+const EXPORT_FILE_PREFIX = "privacy-pass-tokens-";
+const EXPORT_FILE_REVOKE_DELAY = 60000;
+const EXPORT_HTTP_TIMEOUT = 30000;
+const DEFAULT_EXPORT_SETTINGS = {
+    local: { enabled: true },
+    http: { enabled: false, url: "", batchSize: 30, headers: {} },
+    file: { enabled: false },
+};
+
+// Available sinks keyed by the name used in the settings
+const EXPORT_SINKS = {
+    local: exportToWallet,
+    http: exportToHttp,
+    file: exportToFile,
+};
+
+// Hands the tokens to every enabled sink. If no sink is enabled, or all of the
+// enabled sinks fail, then we keep the tokens in the wallet rather than
+// dropping them.
+//
+// Inputs:
+//  storableTokens: array of token encodings from getTokenEncoding
+// Returns:
+//  Promise that resolves once every sink has finished
+function exportTokens(storableTokens) {
+    const settings = getExportSettings();
+    const enabled = Object.keys(EXPORT_SINKS).filter(function(name) {
+        return settings[name].enabled;
+    });
+    if (enabled.length == 0) {
+        console.error("[privacy-pass]: no export sinks are enabled, storing tokens locally");
+        return exportToWallet(storableTokens, settings.local);
+    }
+
+    const exports = enabled.map(function(name) {
+        return EXPORT_SINKS[name](storableTokens, settings[name]).then(function() {
+            return true;
+        }, function(err) {
+            console.error("[privacy-pass]: export to sink " + name + " failed: " + err.message);
+            return false;
+        });
+    });
+    return Promise.all(exports).then(function(results) {
+        if (results.indexOf(true) == -1) {
+            console.error("[privacy-pass]: all export sinks failed, storing tokens locally");
+            return exportToWallet(storableTokens, settings.local);
+        }
+    });
+}
+
+// Returns the sink settings with defaults filled in for anything unset
+function getExportSettings() {
+    const stored = storageGet(NS_SETTINGS, KEY_EXPORT_SETTINGS) || {};
+    let settings = {};
+    Object.keys(DEFAULT_EXPORT_SETTINGS).forEach(function(name) {
+        settings[name] = Object.assign({}, DEFAULT_EXPORT_SETTINGS[name], stored[name]);
+    });
+    return settings;
+}
+
+// Validates and persists new sink settings
+//
+// Returns:
+//  Promise that resolves when the settings have been stored
+function setExportSettings(settings) {
+    const http = settings.http;
+    if (http && http.enabled) {
+        let url;
+        try {
+            url = new URL(http.url);
+        } catch(e) {
+            return Promise.reject(new Error("[privacy-pass]: invalid URL for the HTTP export sink: " + http.url));
+        }
+        if (url.protocol != "https:" && url.protocol != "http:") {
+            return Promise.reject(new Error("[privacy-pass]: HTTP export sink must use http(s), got: " + url.protocol));
+        }
+        if (!(http.batchSize >= 1)) {
+            return Promise.reject(new Error("[privacy-pass]: HTTP export batch size must be at least 1"));
+        }
+    }
+    return storageSet(NS_SETTINGS, KEY_EXPORT_SETTINGS, settings);
+}
+
+/* Sinks */
+
+// Appends the tokens to the local wallet
+function exportToWallet(storableTokens, config) {
+    appendTokens(storableTokens);
+    return Promise.resolve();
+}
+
+// Queues the tokens in the outbox as JSON arrays of at most config.batchSize
+// tokens. The outbox POSTs them to config.url with the configured headers
+// (e.g. Authorization) and keeps retrying until the receiver accepts them.
+function exportToHttp(storableTokens, config) {
+    let batches = [];
+    for (let i = 0; i < storableTokens.length; i += config.batchSize) {
+        batches.push(storableTokens.slice(i, i + config.batchSize));
+    }
+    let queued = Promise.resolve();
+    batches.forEach(function(batch) {
+        queued = queued.then(function() {
+            return enqueueExport(batch);
+        });
+    });
+    return queued.then(function() {
+        flushOutbox();
+    });
+}
+
+// Saves the tokens as a JSON file in the downloads folder
+function exportToFile(storableTokens, config) {
+    return downloadJSON(storableTokens, EXPORT_FILE_PREFIX);
+}
+
+// Saves value as a JSON file named <prefix><timestamp>.json in the downloads
+// folder
+function downloadJSON(value, prefix) {
+    return downloadFile(JSON.stringify(value), "application/json", prefix, "json");
+}
+
+// Saves text as a file named <prefix><timestamp>.<extension> in the downloads
+// folder
+//
+// Returns:
+//  Promise resolving to the download id
+function downloadFile(text, type, prefix, extension) {
+    const blob = new Blob([text], { type: type });
+    const blobUrl = URL.createObjectURL(blob);
+    return new Promise(function(resolve, reject) {
+        chrome.downloads.download({
+            url: blobUrl,
+            filename: prefix + Date.now() + "." + extension,
+            saveAs: false,
+        }, function(downloadId) {
+            // The download may still be reading from the blob when this fires
+            setTimeout(function() {
+                URL.revokeObjectURL(blobUrl);
+            }, EXPORT_FILE_REVOKE_DELAY);
+            if (downloadId === undefined) {
+                reject(new Error(chrome.runtime.lastError ? chrome.runtime.lastError.message : "download failed"));
+                return;
+            }
+            resolve(downloadId);
+        });
+    });
+}
+
+// Sends body as JSON and resolves on a 2xx response. Rejects if there is no
+// response within EXPORT_HTTP_TIMEOUT.
+function postJSON(url, headers, body) {
+    return new Promise(function(resolve, reject) {
+        let xhr = new XMLHttpRequest();
+        xhr.onload = function() {
+            if (xhr.status >= 200 && xhr.status < 300) {
+                resolve(xhr.status);
+            } else {
+                reject(new Error("HTTP status " + xhr.status + " from " + url));
+            }
+        };
+        xhr.onerror = function() {
+            reject(new Error("connection error for " + url));
+        };
+        xhr.ontimeout = function() {
+            reject(new Error("no response within " + EXPORT_HTTP_TIMEOUT + "ms from " + url));
+        };
+        xhr.open("POST", url, true);
+        xhr.timeout = EXPORT_HTTP_TIMEOUT;
+        xhr.setRequestHeader("Content-Type", "application/json");
+        Object.keys(headers || {}).forEach(function(name) {
+            xhr.setRequestHeader(name, headers[name]);
+        });
+        xhr.send(JSON.stringify(body));
+    });
+}
@@ -0,0 +1,180 @@
+/*
+ * Hashing to P-256 following RFC 9380, suite P256_XMD:SHA-256_SSWU_RO_.
+ *
+ * The original hashToCurve in crypto.js uses try-and-increment over a fixed
+ * seed string, which is neither constant time nor guaranteed to find a point.
+ * Issuers can instead select this method, which hashes the token to two field
+ * elements with expand_message_xmd, maps each of them to the curve with the
+ * simplified SWU map and adds the results. The domain separation tag is set
+ * by the issuer.
+ *
+ * The field arithmetic reuses the BigInt helpers of curve.js. The sequence of
+ * operations does not depend on the input, but BigInt itself is not constant
+ * time.
+ */
+
+/*global sjcl*/
+/* exported H2C_INCREMENT */
+/* exported H2C_SSWU */
+/* exported hashToCurveSSWU */
+/* exported hashToCurveKey */
+/* exported hashToScalar */
+"use strict";
+
+const H2C_INCREMENT = "increment";
+const H2C_SSWU = "sswu";
+
+const XMD_HASH_BYTES = 32;
+const XMD_BLOCK_BYTES = 64;
+// ceil((ceil(log2(p)) + k) / 8) with k = 128
+const H2C_FIELD_BYTES = 48;
+const H2C_MAX_DST_BYTES = 255;
+
+let sswuConstants = null;
+
+// Hashes msg to a point on P-256
+//
+// Inputs:
+//  msg: array of bytes
+//  dst: domain separation tag, string
+// Returns:
+//  sjcl point
+function hashToCurveSSWU(msg, dst) {
+    if (typeof BigInt !== "function") {
+        throw new Error("[privacy-pass]: SSWU hash-to-curve needs BigInt support");
+    }
+    const u = hashToField(msg, dst, 2, P256_P);
+    const Q0 = mapToCurveSSWU(u[0]);
+    const Q1 = mapToCurveSSWU(u[1]);
+    // P-256 has cofactor 1, so clear_cofactor is the identity
+    return jacToPoint(jacAdd([Q0[0], Q0[1], B1], [Q1[0], Q1[1], B1]));
+}
+
+// Returns a string identifying the hash-to-curve method and tag, tokens are
+// only interchangeable between issuers with the same key
+function hashToCurveKey(h2c) {
+    if (!h2c || h2c.method == H2C_INCREMENT) {
+        return H2C_INCREMENT;
+    }
+    return h2c.method + ":" + h2c.dst;
+}
+
+// Hashes msg to a scalar modulo the group order, as HashToScalar in RFC 9497
+//
+// Returns:
+//  BigInt
+function hashToScalar(msg, dst) {
+    return hashToField(msg, dst, 1, P256_N)[0];
+}
+
+// hash_to_field from RFC 9380, section 5.2, with m = 1. The group order has
+// the same length as p, so the same number of bytes is used for both.
+function hashToField(msg, dst, count, modulus) {
+    const uniform = expandMessageXMD(msg, dst, count * H2C_FIELD_BYTES);
+    let u = [];
+    for (let i = 0; i < count; i++) {
+        const off = i * H2C_FIELD_BYTES;
+        u.push(bytesToBig(uniform.slice(off, off + H2C_FIELD_BYTES)) % modulus);
+    }
+    return u;
+}
+
+// expand_message_xmd from RFC 9380, section 5.3.1, with SHA-256
+//
+// Inputs:
+//  msg: array of bytes
+//  dst: domain separation tag, string
+//  length: number of bytes to output
+// Returns:
+//  array of bytes
+function expandMessageXMD(msg, dst, length) {
+    const dstBytes = sjcl.codec.bytes.fromBits(sjcl.codec.utf8String.toBits(dst));
+    if (dstBytes.length == 0 || dstBytes.length > H2C_MAX_DST_BYTES) {
+        throw new Error("[privacy-pass]: domain separation tag must be 1 to 255 bytes");
+    }
+    const ell = Math.ceil(length / XMD_HASH_BYTES);
+    if (ell > 255) {
+        throw new Error("[privacy-pass]: too many bytes requested from expand_message_xmd");
+    }
+    const dstPrime = dstBytes.concat([dstBytes.length]);
+
+    let zPad = new Array(XMD_BLOCK_BYTES).fill(0);
+    const b0 = sha256Bytes(zPad.concat(msg, [length >> 8, length & 0xff, 0], dstPrime));
+    let bi = sha256Bytes(b0.concat([1], dstPrime));
+    let uniform = bi;
+    for (let i = 2; i <= ell; i++) {
+        const mixed = b0.map(function(b, j) {
+            return b ^ bi[j];
+        });
+        bi = sha256Bytes(mixed.concat([i], dstPrime));
+        uniform = uniform.concat(bi);
+    }
+    return uniform.slice(0, length);
+}
+
+// The simplified SWU map from RFC 9380, section 6.6.2, for A = -3 and Z = -10
+//
+// Inputs:
+//  u: field element, BigInt
+// Returns:
+//  affine point as [x, y] of BigInts
+function mapToCurveSSWU(u) {
+    const c = getSSWUConstants();
+    const u2 = fmod(u * u);
+    const zu2 = fmod(c.Z * u2);
+    const tv1 = inv0(fmod(zu2 * zu2 + zu2));
+
+    let x1 = fmod(c.minusBOverA * (B1 + tv1));
+    if (tv1 == B0) {
+        x1 = c.bOverZA;
+    }
+    const gx1 = curveRHS(x1);
+    const x2 = fmod(zu2 * x1);
+    const gx2 = curveRHS(x2);
+
+    let x, y;
+    if (isSquare(gx1)) {
+        x = x1;
+        y = powMod(gx1, P256_SQRT_EXP, P256_P);
+    } else {
+        x = x2;
+        y = powMod(gx2, P256_SQRT_EXP, P256_P);
+    }
+    if ((u & B1) != (y & B1)) {
+        y = fmod(-y);
+    }
+    return [x, y];
+}
+
+// x^3 + Ax + B
+function curveRHS(x) {
+    return fmod(x * x * x - B3 * x + P256_B);
+}
+
+function isSquare(x) {
+    const e = powMod(x, getSSWUConstants().legendreExp, P256_P);
+    return e == B0 || e == B1;
+}
+
+function inv0(x) {
+    return x == B0 ? B0 : invMod(x, P256_P);
+}
+
+// Computed on first use, BigInt may be missing when the script loads
+function getSSWUConstants() {
+    if (sswuConstants === null) {
+        const A = fmod(-B3);
+        const Z = fmod(BigInt(-10));
+        sswuConstants = {
+            Z: Z,
+            minusBOverA: fmod(-P256_B * invMod(A, P256_P)),
+            bOverZA: fmod(P256_B * invMod(fmod(Z * A), P256_P)),
+            legendreExp: (P256_P - B1) / B2,
+        };
+    }
+    return sswuConstants;
+}
+
+function sha256Bytes(bytes) {
+    return sjcl.codec.bytes.fromBits(sjcl.hash.sha256.hash(sjcl.codec.bytes.toBits(bytes)));
+}
@@ -0,0 +1,133 @@
+/*
+ * Client for the issuance requests sent with a challenge solution.
+ *
+ * Requests are sent with fetch and aborted after the provider's timeout, or
+ * when a newer issuance starts in the same tab or the tab is closed. Instead
+ * of throwing, the client resolves to a result whose type says what happened
+ * so that the caller can decide whether to reload the tab and what to show
+ * on the badge:
+ *
+ *  ok             the tokens were verified and stored
+ *  over-quota     the wallet is full, the tokens were dropped
+ *  http-error     the provider answered with an error status
+ *  timeout        no answer within the timeout
+ *  network-error  the request could not be sent
+ *  cancelled      aborted for a newer issuance or a closed tab
+ *  format-error   the response could not be decoded
+ *  proof-failure  the proof or signatures don't verify, or the key is not
+ *                 confirmed by the issuer's mirrors
+ */
+
+/* exported ISSUE_OK */
+/* exported ISSUE_OVER_QUOTA */
+/* exported ISSUE_HTTP_ERROR */
+/* exported ISSUE_TIMEOUT */
+/* exported ISSUE_NETWORK_ERROR */
+/* exported ISSUE_CANCELLED */
+/* exported ISSUE_FORMAT_ERROR */
+/* exported ISSUE_PROOF_FAILURE */
+/* exported ISSUE_OVER_QUOTA_ERR */
+/* exported sendIssueRequest */
+/* exported cancelIssuance */
+/* exported issueError */
+"use strict";
+
+const ISSUE_OK = "ok";
+const ISSUE_OVER_QUOTA = "over-quota";
+const ISSUE_HTTP_ERROR = "http-error";
+const ISSUE_TIMEOUT = "timeout";
+const ISSUE_NETWORK_ERROR = "network-error";
+const ISSUE_CANCELLED = "cancelled";
+const ISSUE_FORMAT_ERROR = "format-error";
+const ISSUE_PROOF_FAILURE = "proof-failure";
+
+const ISSUE_OVER_QUOTA_ERR = "[privacy-pass]: Cannot receive new tokens due to upper bound.";
+const DEFAULT_ISSUE_TIMEOUT = 15 * 1000;
+
+// Issuances in flight, by tab
+let issuances = new Map();
+
+chrome.tabs.onRemoved.addListener(function(tabId) {
+    cancelIssuance(tabId);
+});
+
+// Sends an issuance request and hands the response to receive
+//
+// Inputs:
+//  request: { url, tabId, headers, body, timeout } where timeout is in ms and
+//  defaults to DEFAULT_ISSUE_TIMEOUT
+//  receive: called with the response as { contentType, bytes }, verifies and
+//  stores the tokens and throws if they can't be used
+// Returns:
+//  Promise of { type, status, error } that never rejects, status is the HTTP
+//  status if there was a response and error the reason of a failure
+function sendIssueRequest(request, receive) {
+    cancelIssuance(request.tabId);
+    const controller = new AbortController();
+    let timedOut = false;
+    const timer = setTimeout(function() {
+        timedOut = true;
+        controller.abort();
+    }, request.timeout || DEFAULT_ISSUE_TIMEOUT);
+    issuances[request.tabId] = controller;
+
+    let status;
+    return fetch(request.url, {
+        method: "POST",
+        headers: request.headers,
+        body: request.body,
+        credentials: "include",
+        signal: controller.signal,
+    }).then(function(resp) {
+        status = resp.status;
+        if (!resp.ok) {
+            return issueResult(ISSUE_HTTP_ERROR, status, "HTTP status " + status);
+        }
+        return resp.arrayBuffer().then(function(body) {
+            try {
+                receive({ contentType: resp.headers.get("Content-Type"), bytes: new Uint8Array(body) });
+            } catch(e) {
+                return issueResult(failureType(e), status, e.message);
+            }
+            return issueResult(ISSUE_OK, status, null);
+        });
+    }).catch(function(err) {
+        if (controller.signal.aborted) {
+            return issueResult(timedOut ? ISSUE_TIMEOUT : ISSUE_CANCELLED, status, timedOut ? "no response within the timeout" : "cancelled");
+        }
+        return issueResult(ISSUE_NETWORK_ERROR, status, err.message);
+    }).then(function(result) {
+        clearTimeout(timer);
+        if (issuances[request.tabId] === controller) {
+            delete issuances[request.tabId];
+        }
+        return result;
+    });
+}
+
+// Aborts the issuance in flight for tabId, if there is one
+function cancelIssuance(tabId) {
+    const controller = issuances[tabId];
+    if (controller) {
+        delete issuances[tabId];
+        controller.abort();
+    }
+}
+
+function issueResult(type, status, error) {
+    return { type: type, status: status, error: error };
+}
+
+// Returns an error that is reported as a result of the given type when it is
+// thrown while receiving the tokens
+function issueError(type, message) {
+    let err = new Error(message);
+    err.issueType = type;
+    return err;
+}
+
+// Returns the result type for an error thrown while receiving the tokens,
+// anything that wasn't thrown with issueError could not be decoded
+function failureType(err) {
+    return err.issueType || ISSUE_FORMAT_ERROR;
+}
@@ -0,0 +1,165 @@
+/*
+ * Registry of the issuers configured in config.js.
+ *
+ * An issuer signs with a different commitment pair (G, H) in every key epoch
+ * and each of those epochs has a wallet of its own. Epochs are pinned in
+ * config.js or discovered from the issuer's directory (see directory.js).
+ * The options page can switch issuers on and off and change the hosts that
+ * they serve and their key mirrors; those overrides are kept in the settings
+ * namespace.
+ */
+
+/*global sjcl*/
+/* exported commitmentId */
+/* exported getIssuers */
+/* exported getDefaultIssuer */
+/* exported findIssuerByCommitment */
+/* exported findEpochByCommitment */
+/* exported issuerListingHost */
+/* exported setIssuerSettings */
+"use strict";
+
+const KEY_ISSUER_SETTINGS = "issuers";
+const COMMITMENT_ID_LENGTH = 16;
+
+// Returns a short, stable identifier for a commitment pair. Wallets are stored
+// under this identifier.
+//
+// Inputs:
+//  commitment: { G, H } as base64-encoded SEC1 points, or { publicKey } for
+//  Blind RSA issuers
+// Returns:
+//  hex string
+function commitmentId(commitment) {
+    const material = commitment.publicKey || commitment.G + "," + commitment.H;
+    const digest = sjcl.hash.sha256.hash(material);
+    return sjcl.codec.hex.fromBits(digest).substring(0, COMMITMENT_ID_LENGTH);
+}
+
+// Returns every configured issuer with the user settings applied. The id of
+// an issuer is the wallet id of its first pinned epoch, which is also where
+// tokens stored before wallets were split by epoch are kept.
+//
+// Returns:
+//  array of { name, id, epochs, protocol, hashToCurve, issuerName, requestUri,
+//  directory, mirrors, hosts, enabled, default } where epochs is an array of
+//  { epoch, commitment, id } in increasing order, pinned and discovered, and
+//  directory is the status from directoryStatus(). VOPRF issuers always hash
+//  with the RFC 9497 method.
+function getIssuers() {
+    const overrides = storageGet(NS_SETTINGS, KEY_ISSUER_SETTINGS) || {};
+    return IssuerConfigs.map(function(config) {
+        const override = overrides[config.name] || {};
+        const protocol = config.protocol || PROTOCOL_LEGACY;
+        const epochs = config.epochs.concat(directoryEpochs(config)).sort(function(a, b) {
+            return a.epoch - b.epoch;
+        }).map(function(e) {
+            return { epoch: e.epoch, commitment: e.commitment, id: commitmentId(e.commitment) };
+        });
+        return {
+            name: config.name,
+            id: commitmentId(config.epochs[0].commitment),
+            epochs: epochs,
+            protocol: protocol,
+            hashToCurve: protocol == PROTOCOL_VOPRF ? VOPRF_HASH_TO_CURVE : config.hashToCurve || { method: H2C_INCREMENT },
+            issuerName: config.issuerName || config.name,
+            requestUri: directoryRequestUri(config) || config.requestUri,
+            directory: directoryStatus(config),
+            mirrors: override.mirrors || config.mirrors || [],
+            hosts: override.hosts || config.hosts,
+            enabled: override.enabled !== undefined ? override.enabled : config.enabled,
+            default: !!config.default,
+        };
+    });
+}
+
+// Returns the default issuer, used for hosts no other issuer claims
+function getDefaultIssuer() {
+    return getIssuers().filter(function(issuer) {
+        return issuer.default;
+    })[0];
+}
+
+// Returns the enabled issuer that has an epoch with the commitments G and H,
+// or null
+function findIssuerByCommitment(G, H) {
+    const match = findEpochByCommitment(G, H);
+    return match ? match.issuer : null;
+}
+
+// Returns { issuer, epoch } for the enabled issuer epoch with the commitments
+// G and H, or null
+function findEpochByCommitment(G, H) {
+    const issuers = getIssuers().filter(function(issuer) {
+        return issuer.enabled;
+    });
+    for (let i = 0; i < issuers.length; i++) {
+        const epochs = issuers[i].epochs;
+        for (let j = 0; j < epochs.length; j++) {
+            if (epochs[j].commitment.G == G && epochs[j].commitment.H == H) {
+                return { issuer: issuers[i], epoch: epochs[j] };
+            }
+        }
+    }
+    return null;
+}
+
+// Returns the enabled issuer that lists host among its hosts, or null. Hosts
+// that no issuer lists are served by the issuer of their challenge provider
+// (see providerIssuer).
+function issuerListingHost(host) {
+    const enabled = getIssuers().filter(function(issuer) {
+        return issuer.enabled;
+    });
+    for (let i = 0; i < enabled.length; i++) {
+        if (hostMatches(host, enabled[i].hosts)) {
+            return enabled[i];
+        }
+    }
+    return null;
+}
+
+// Stores the user overrides for issuers and checks their mirrors again
+//
+// Inputs:
+//  settings: map from issuer name to { enabled, hosts, mirrors }
+// Returns:
+//  Promise that resolves when the settings have been stored
+function setIssuerSettings(settings) {
+    const names = IssuerConfigs.map(function(config) {
+        return config.name;
+    });
+    const unknown = Object.keys(settings).filter(function(name) {
+        return names.indexOf(name) == -1;
+    });
+    if (unknown.length > 0) {
+        return Promise.reject(new Error("[privacy-pass]: unknown issuers: " + unknown.join(", ")));
+    }
+    let mirrors = [];
+    Object.keys(settings).forEach(function(name) {
+        mirrors = mirrors.concat(settings[name].mirrors || []);
+    });
+    const invalid = mirrors.filter(function(url) {
+        return !/^https?:\/\/[^/]/.test(url);
+    });
+    if (invalid.length > 0) {
+        return Promise.reject(new Error("[privacy-pass]: mirrors must be http or https URLs: " + invalid.join(", ")));
+    }
+    return storageSet(NS_SETTINGS, KEY_ISSUER_SETTINGS, settings).then(function() {
+        // Check the new mirrors in the background
+        refreshKeyConsistency().catch(function(err) {
+            console.error(err.message);
+        });
+    });
+}
+
+// Checks whether host equals one of the patterns or is a subdomain of one
+function hostMatches(host, patterns) {
+    for (let i = 0; i < patterns.length; i++) {
+        const pattern = patterns[i];
+        if (host == pattern || host.endsWith("." + pattern)) {
+            return true;
+        }
+    }
+    return false;
+}
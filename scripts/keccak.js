@@ -0,0 +1,153 @@
+/*
+ * SHAKE256 (FIPS 202) as an extendable-output reader.
+ *
+ * The issuer derives the batch proof coefficients by reading from a SHAKE256
+ * stream, so the client needs the same construction to recompute them. SJCL
+ * has no SHA-3, hence this small implementation. 64-bit lanes are kept as
+ * pairs of 32-bit words (lo, hi) so that it doesn't depend on BigInt.
+ */
+
+/* exported shake256 */
+"use strict";
+
+const SHAKE256_RATE = 136;
+const SHAKE_DOMAIN = 0x1f;
+
+// Round constants as [hi, lo]
+const KECCAK_RC = [
+    [0x00000000, 0x00000001], [0x00000000, 0x00008082], [0x80000000, 0x0000808a], [0x80000000, 0x80008000],
+    [0x00000000, 0x0000808b], [0x00000000, 0x80000001], [0x80000000, 0x80008081], [0x80000000, 0x00008009],
+    [0x00000000, 0x0000008a], [0x00000000, 0x00000088], [0x00000000, 0x80008009], [0x00000000, 0x8000000a],
+    [0x00000000, 0x8000808b], [0x80000000, 0x0000008b], [0x80000000, 0x00008089], [0x80000000, 0x00008003],
+    [0x80000000, 0x00008002], [0x80000000, 0x00000080], [0x00000000, 0x0000800a], [0x80000000, 0x8000000a],
+    [0x80000000, 0x80008081], [0x80000000, 0x00008080], [0x00000000, 0x80000001], [0x80000000, 0x80008008],
+];
+
+// Rotation offsets for lane x + 5y
+const KECCAK_ROT = [
+    0, 1, 62, 28, 27,
+    36, 44, 6, 55, 20,
+    3, 10, 43, 25, 39,
+    41, 45, 15, 21, 8,
+    18, 2, 61, 56, 14,
+];
+
+// Absorbs the input and returns a reader for the output stream. Successive
+// reads continue the stream, like reading from Go's sha3.ShakeHash.
+//
+// Inputs:
+//  input: array of bytes
+// Returns:
+//  { read(n) } where read returns the next n output bytes
+function shake256(input) {
+    let lo = new Uint32Array(25);
+    let hi = new Uint32Array(25);
+
+    let padded = input.slice(0);
+    padded.push(SHAKE_DOMAIN);
+    while (padded.length % SHAKE256_RATE != 0) {
+        padded.push(0);
+    }
+    padded[padded.length - 1] |= 0x80;
+
+    for (let off = 0; off < padded.length; off += SHAKE256_RATE) {
+        for (let i = 0; i < SHAKE256_RATE / 8; i++) {
+            lo[i] ^= readWordLE(padded, off + 8 * i);
+            hi[i] ^= readWordLE(padded, off + 8 * i + 4);
+        }
+        keccakF(lo, hi);
+    }
+
+    let block = squeezeBlock(lo, hi);
+    let pos = 0;
+    return {
+        read: function(n) {
+            let out = [];
+            while (out.length < n) {
+                if (pos == SHAKE256_RATE) {
+                    keccakF(lo, hi);
+                    block = squeezeBlock(lo, hi);
+                    pos = 0;
+                }
+                out.push(block[pos++]);
+            }
+            return out;
+        },
+    };
+}
+
+function squeezeBlock(lo, hi) {
+    let block = [];
+    for (let i = 0; i < SHAKE256_RATE / 8; i++) {
+        block = block.concat(wordToBytesLE(lo[i]), wordToBytesLE(hi[i]));
+    }
+    return block;
+}
+
+// The Keccak-f[1600] permutation
+function keccakF(lo, hi) {
+    let cLo = new Uint32Array(5);
+    let cHi = new Uint32Array(5);
+    let bLo = new Uint32Array(25);
+    let bHi = new Uint32Array(25);
+    for (let round = 0; round < 24; round++) {
+        // theta
+        for (let x = 0; x < 5; x++) {
+            cLo[x] = lo[x] ^ lo[x + 5] ^ lo[x + 10] ^ lo[x + 15] ^ lo[x + 20];
+            cHi[x] = hi[x] ^ hi[x + 5] ^ hi[x + 10] ^ hi[x + 15] ^ hi[x + 20];
+        }
+        for (let x = 0; x < 5; x++) {
+            const next = (x + 1) % 5;
+            const dLo = cLo[(x + 4) % 5] ^ ((cLo[next] << 1) | (cHi[next] >>> 31));
+            const dHi = cHi[(x + 4) % 5] ^ ((cHi[next] << 1) | (cLo[next] >>> 31));
+            for (let y = 0; y < 25; y += 5) {
+                lo[x + y] ^= dLo;
+                hi[x + y] ^= dHi;
+            }
+        }
+        // rho and pi
+        for (let x = 0; x < 5; x++) {
+            for (let y = 0; y < 5; y++) {
+                const from = x + 5 * y;
+                const to = y + 5 * ((2 * x + 3 * y) % 5);
+                rotateLane(lo[from], hi[from], KECCAK_ROT[from], bLo, bHi, to);
+            }
+        }
+        // chi
+        for (let y = 0; y < 25; y += 5) {
+            for (let x = 0; x < 5; x++) {
+                lo[x + y] = bLo[x + y] ^ (~bLo[(x + 1) % 5 + y] & bLo[(x + 2) % 5 + y]);
+                hi[x + y] = bHi[x + y] ^ (~bHi[(x + 1) % 5 + y] & bHi[(x + 2) % 5 + y]);
+            }
+        }
+        // iota
+        hi[0] ^= KECCAK_RC[round][0];
+        lo[0] ^= KECCAK_RC[round][1];
+    }
+}
+
+// Rotates the 64-bit lane (hi, lo) left by r and writes it to index i of
+// outLo and outHi
+function rotateLane(lo, hi, r, outLo, outHi, i) {
+    if (r >= 32) {
+        const t = lo;
+        lo = hi;
+        hi = t;
+        r -= 32;
+    }
+    if (r == 0) {
+        outLo[i] = lo;
+        outHi[i] = hi;
+        return;
+    }
+    outLo[i] = (lo << r) | (hi >>> (32 - r));
+    outHi[i] = (hi << r) | (lo >>> (32 - r));
+}
+
+function readWordLE(bytes, off) {
+    return (bytes[off] | (bytes[off + 1] << 8) | (bytes[off + 2] << 16) | (bytes[off + 3] << 24)) >>> 0;
+}
+
+function wordToBytesLE(w) {
+    return [w & 0xff, (w >>> 8) & 0xff, (w >>> 16) & 0xff, (w >>> 24) & 0xff];
+}
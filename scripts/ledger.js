@@ -0,0 +1,202 @@
+/*
+ * Persistent history of redemptions.
+ *
+ * Every pass that is spent gets an entry with where it went and what came of
+ * it. Entries start out with an unknown outcome and are updated when the
+ * clearance cookie arrives or the edge answers with an error code. Old entries
+ * are dropped according to the retention settings.
+ *
+ * Entry format:
+ *
+ *  {
+ *      "id": <unique id>,
+ *      "time": <ms since epoch>,
+ *      "host", "path", "method": the redemption request,
+ *      "tab": <tab id>,
+ *      "issuer": <issuer name>,
+ *      "outcome": "clearance" | "error" | "unknown",
+ *      "code": <bypass response or network error code> or null
+ *  }
+ */
+
+/* exported recordRedemption */
+/* exported recordRedemptionError */
+/* exported recordClearance */
+/* exported getLedger */
+/* exported clearLedger */
+/* exported downloadLedger */
+/* exported getLedgerSettings */
+/* exported setLedgerSettings */
+"use strict";
+
+const KEY_LEDGER = "ledger";
+const KEY_LEDGER_SETTINGS = "ledger";
+const LEDGER_FILE_PREFIX = "privacy-pass-history-";
+const LEDGER_CSV_FIELDS = ["time", "host", "path", "method", "tab", "issuer", "outcome", "code"];
+const OUTCOME_CLEARANCE = "clearance";
+const OUTCOME_ERROR = "error";
+const OUTCOME_UNKNOWN = "unknown";
+const DAY = 24 * 60 * 60 * 1000;
+// A clearance cookie arriving later than this is not attributed to a pass
+const LEDGER_SETTLE_WINDOW = 5 * 60 * 1000;
+
+const DEFAULT_LEDGER_SETTINGS = {
+    maxEntries: 1000,
+    maxDays: 90,
+};
+
+// Redemptions that have not been settled, by request id, as { id, host, time }.
+// Request ids are reused across browser restarts so they are only trusted in
+// memory.
+let ledgerPending = new Map();
+
+// Adds an entry for a pass that is being spent
+//
+// Inputs:
+//  requestId: webRequest id of the redemption request
+//  entry: { host, path, method, tab, issuer }
+function recordRedemption(requestId, entry) {
+    const id = Date.now() + "-" + Math.random().toString(36).substring(2);
+    ledgerPending.forEach(function(pending, key) {
+        if (pending.time < Date.now() - LEDGER_SETTLE_WINDOW) {
+            ledgerPending.delete(key);
+        }
+    });
+    ledgerPending.set(requestId, { id: id, host: entry.host, time: Date.now() });
+    let ledger = getLedger();
+    ledger.unshift({
+        id: id,
+        time: Date.now(),
+        host: entry.host,
+        path: entry.path,
+        method: entry.method,
+        tab: entry.tab,
+        issuer: entry.issuer,
+        outcome: OUTCOME_UNKNOWN,
+        code: null,
+    });
+    saveLedger(applyRetention(ledger));
+}
+
+// Records that the redemption made by requestId failed
+//
+// Inputs:
+//  requestId: webRequest id of the redemption request
+//  code: error code from the edge or the network
+function recordRedemptionError(requestId, code) {
+    const pending = ledgerPending.get(requestId);
+    if (pending === undefined) {
+        return;
+    }
+    ledgerPending.delete(requestId);
+    settleEntries([pending.id], OUTCOME_ERROR, code);
+}
+
+// Records that the edge set a clearance cookie for domain, which settles the
+// redemptions made on it or its subdomains
+function recordClearance(domain) {
+    const suffix = domain.replace(/^\./, "");
+    let ids = [];
+    ledgerPending.forEach(function(pending, requestId) {
+        if (pending.host == suffix || pending.host.endsWith("." + suffix)) {
+            ids.push(pending.id);
+            ledgerPending.delete(requestId);
+        }
+    });
+    if (ids.length > 0) {
+        settleEntries(ids, OUTCOME_CLEARANCE, null);
+    }
+}
+
+// Returns the ledger entries, newest first
+function getLedger() {
+    return storageGet(NS_REDEEM, KEY_LEDGER) || [];
+}
+
+function clearLedger() {
+    ledgerPending = new Map();
+    return storageRemove(NS_REDEEM, KEY_LEDGER);
+}
+
+// Saves the ledger in the downloads folder
+//
+// Inputs:
+//  format: "json" or "csv"
+function downloadLedger(format) {
+    const ledger = getLedger();
+    if (format == "csv") {
+        return downloadFile(ledgerToCSV(ledger), "text/csv", LEDGER_FILE_PREFIX, "csv");
+    }
+    return downloadJSON(ledger, LEDGER_FILE_PREFIX);
+}
+
+// Returns the retention limits, merged over the defaults
+//
+// Returns:
+//  { maxEntries, maxDays }
+function getLedgerSettings() {
+    const stored = storageGet(NS_SETTINGS, KEY_LEDGER_SETTINGS) || {};
+    return Object.assign({}, DEFAULT_LEDGER_SETTINGS, stored);
+}
+
+// Validates and stores the retention limits and trims the ledger to them
+function setLedgerSettings(settings) {
+    if (!Number.isInteger(settings.maxEntries) || settings.maxEntries < 0) {
+        return Promise.reject(new Error("[privacy-pass]: history size must be zero or more entries"));
+    }
+    if (!Number.isInteger(settings.maxDays) || settings.maxDays < 1) {
+        return Promise.reject(new Error("[privacy-pass]: history must be kept for at least a day"));
+    }
+    const stored = { maxEntries: settings.maxEntries, maxDays: settings.maxDays };
+    return storageSet(NS_SETTINGS, KEY_LEDGER_SETTINGS, stored).then(function() {
+        return saveLedger(applyRetention(getLedger()));
+    });
+}
+
+// Drops entries beyond the configured count or age
+function applyRetention(ledger) {
+    const settings = getLedgerSettings();
+    const oldest = Date.now() - settings.maxDays * DAY;
+    return ledger.filter(function(entry) {
+        return entry.time >= oldest;
+    }).slice(0, settings.maxEntries);
+}
+
+function settleEntries(ids, outcome, code) {
+    let ledger = getLedger();
+    ledger.forEach(function(entry) {
+        if (ids.indexOf(entry.id) != -1) {
+            entry.outcome = outcome;
+            entry.code = code;
+        }
+    });
+    saveLedger(ledger);
+}
+
+function saveLedger(ledger) {
+    return storageSet(NS_REDEEM, KEY_LEDGER, ledger).catch(function(err) {
+        console.error(err.message);
+    });
+}
+
+function ledgerToCSV(ledger) {
+    const rows = ledger.map(function(entry) {
+        return LEDGER_CSV_FIELDS.map(function(field) {
+            let value = entry[field];
+            if (field == "time") {
+                value = new Date(value).toISOString();
+            }
+            return csvField(value);
+        }).join(",");
+    });
+    return [LEDGER_CSV_FIELDS.join(",")].concat(rows).join("\r\n") + "\r\n";
+}
+
+// Quotes a CSV field if it contains a separator, quote or line break
+function csvField(value) {
+    const text = value === null || value === undefined ? "" : String(value);
+    if (/[",\r\n]/.test(text)) {
+        return "\"" + text.replace(/"/g, "\"\"") + "\"";
+    }
+    return text;
+}
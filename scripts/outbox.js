@@ -0,0 +1,163 @@
+/*
+ * Durable outbox for tokens exported over HTTP.
+ *
+ * Batches are written to storage before they are sent and are only removed
+ * once the receiver acknowledges them with a 2xx response. Failed sends are
+ * retried with exponential backoff using chrome.alarms, so the queue survives
+ * browser restarts. After OUTBOX_MAX_ATTEMPTS a batch is marked as failed but
+ * kept, so that it can be retried by hand from the popup.
+ */
+
+/* exported enqueueExport */
+/* exported flushOutbox */
+/* exported getOutboxCounts */
+/* exported retryFailedExports */
+"use strict";
+
+const KEY_OUTBOX_ENTRIES = "entries";
+const OUTBOX_ALARM = "outbox-retry";
+const OUTBOX_BASE_DELAY = 30 * 1000;
+const OUTBOX_MAX_DELAY = 60 * 60 * 1000;
+const OUTBOX_MAX_ATTEMPTS = 10;
+const OUTBOX_PENDING = "pending";
+const OUTBOX_FAILED = "failed";
+
+// Set while a flush is in progress so that alarms don't send batches twice
+let outboxFlushing = false;
+
+chrome.alarms.onAlarm.addListener(function(alarm) {
+    if (alarm.name == OUTBOX_ALARM) {
+        flushOutbox();
+    }
+});
+
+// Persists a batch of storable tokens for delivery over HTTP
+//
+// Returns:
+//  Promise that resolves once the batch is safely stored
+function enqueueExport(batch) {
+    let entries = loadOutbox();
+    entries.push({
+        id: Date.now() + "-" + Math.random().toString(36).substring(2),
+        tokens: batch,
+        attempts: 0,
+        nextAttempt: 0,
+        status: OUTBOX_PENDING,
+        lastError: null,
+    });
+    return saveOutbox(entries);
+}
+
+// Sends every pending batch that is due and schedules the next retry
+//
+// Returns:
+//  Promise that resolves when the flush has finished
+function flushOutbox() {
+    if (outboxFlushing) {
+        return Promise.resolve();
+    }
+    const config = getExportSettings().http;
+    if (!config.enabled || !config.url) {
+        // Keep everything queued until the receiver is switched on again
+        return Promise.resolve();
+    }
+    outboxFlushing = true;
+
+    // Anything thrown while sending still ends the flush below
+    return Promise.resolve().then(function() {
+        const now = Date.now();
+        const due = loadOutbox().filter(function(entry) {
+            return entry.status == OUTBOX_PENDING && entry.nextAttempt <= now;
+        });
+        return Promise.all(due.map(function(entry) {
+            return postJSON(config.url, config.headers, entry.tokens).then(function() {
+                return removeOutboxEntry(entry.id);
+            }, function(err) {
+                return recordOutboxFailure(entry.id, err);
+            });
+        }));
+    }).catch(function(err) {
+        console.error(err.message);
+    }).then(function() {
+        outboxFlushing = false;
+        scheduleOutbox();
+        UpdateCallback();
+    });
+}
+
+// Returns the number of batches waiting for delivery and the number that
+// have given up, both counted in tokens.
+function getOutboxCounts() {
+    let counts = { pending: 0, failed: 0 };
+    loadOutbox().forEach(function(entry) {
+        counts[entry.status] += entry.tokens.length;
+    });
+    return counts;
+}
+
+// Moves all failed batches back into the queue and sends them now
+function retryFailedExports() {
+    let entries = loadOutbox();
+    entries.forEach(function(entry) {
+        if (entry.status == OUTBOX_FAILED) {
+            entry.status = OUTBOX_PENDING;
+            entry.attempts = 0;
+            entry.nextAttempt = 0;
+        }
+    });
+    return saveOutbox(entries).then(flushOutbox);
+}
+
+function recordOutboxFailure(id, err) {
+    let entries = loadOutbox();
+    entries.forEach(function(entry) {
+        if (entry.id != id) {
+            return;
+        }
+        entry.attempts++;
+        entry.lastError = err.message;
+        if (entry.attempts >= OUTBOX_MAX_ATTEMPTS) {
+            entry.status = OUTBOX_FAILED;
+            console.error("[privacy-pass]: giving up exporting " + entry.tokens.length + " tokens after " + entry.attempts + " attempts: " + err.message);
+        } else {
+            entry.nextAttempt = Date.now() + backoffDelay(entry.attempts);
+        }
+    });
+    return saveOutbox(entries);
+}
+
+function removeOutboxEntry(id) {
+    const entries = loadOutbox().filter(function(entry) {
+        return entry.id != id;
+    });
+    return saveOutbox(entries);
+}
+
+// Sets the alarm for the earliest pending retry, if there is one
+function scheduleOutbox() {
+    let next = null;
+    loadOutbox().forEach(function(entry) {
+        if (entry.status == OUTBOX_PENDING && (next === null || entry.nextAttempt < next)) {
+            next = entry.nextAttempt;
+        }
+    });
+    if (next === null) {
+        chrome.alarms.clear(OUTBOX_ALARM);
+        return;
+    }
+    // alarms fire at most once a minute in production, that's fine for us
+    chrome.alarms.create(OUTBOX_ALARM, { when: Math.max(next, Date.now() + 1000) });
+}
+
+// Base delay doubled for every failed attempt, capped at OUTBOX_MAX_DELAY
+function backoffDelay(attempts) {
+    return Math.min(OUTBOX_BASE_DELAY * Math.pow(2, attempts - 1), OUTBOX_MAX_DELAY);
+}
+
+function loadOutbox() {
+    return storageGet(NS_OUTBOX, KEY_OUTBOX_ENTRIES) || [];
+}
+
+function saveOutbox(entries) {
+    return storageSet(NS_OUTBOX, KEY_OUTBOX_ENTRIES, entries);
+}
@@ -0,0 +1,26 @@
+/*
+ * Worker that generates blinded tokens for the pool in pool.js, so that the
+ * curve work happens off the background page's thread.
+ *
+ * Request:  { count: <number of tokens>, h2c: <hash-to-curve method> }
+ * Response: { h2c: <as requested>,
+ *             tokens: [{ token: <bytes>, point: <storable point>, blind: <hex> }] }
+ */
+
+/* eslint-env worker */
+/*global sjcl*/
+"use strict";
+
+importScripts("sjcl.js", "curve.js", "h2c.js", "crypto.js");
+
+self.onmessage = function(e) {
+    // sjcl only collects entropy by itself in a window, so seed it here
+    sjcl.random.addEntropy(crypto.getRandomValues(new Uint32Array(32)), 1024, "crypto.getRandomValues");
+
+    let tokens = [];
+    for (let i = 0; i < e.data.count; i++) {
+        const t = CreateBlindToken(e.data.h2c);
+        tokens.push({ token: t.token, point: encodeStorablePoint(t.point), blind: t.blind.toString() });
+    }
+    self.postMessage({ h2c: e.data.h2c, tokens: tokens });
+};
@@ -0,0 +1,163 @@
+/*
+ * Pool of blinded tokens generated ahead of time.
+ *
+ * Creating a batch of tokens means hashing to the curve and blinding every
+ * point, which used to happen inline in the blocking beforeRequest listener.
+ * Instead a worker (pool-worker.js) fills the pool while the browser is idle
+ * and issuance requests just take tokens from it. If the pool runs dry the
+ * missing tokens are still generated inline.
+ *
+ * The pool only ever lives in memory. The blinds are secret, anyone who could
+ * read them alongside the issued tokens could link redemptions back to the
+ * issuance, so they are never written to storage.
+ */
+
+/*global sjcl*/
+/* exported takePooledTokens */
+/* exported refillPool */
+/* exported getPoolSettings */
+/* exported setPoolSettings */
+/* exported getPoolLevel */
+"use strict";
+
+const KEY_POOL_SETTINGS = "token-pool";
+const POOL_WORKER_SCRIPT = "scripts/pool-worker.js";
+const POOL_CHUNK = 10;
+const POOL_MAX = 300;
+
+const DEFAULT_POOL_SETTINGS = {
+    size: 60,
+};
+
+// Ready tokens as returned by CreateBlindToken, kept apart per hash-to-curve
+// method (see hashToCurveKey) since a token only suits issuers that hash the
+// same way
+let tokenPools = new Map();
+let poolWorker = null;
+// Set if the worker could not run, the pool is not refilled after that
+let poolWorkerFailed = false;
+// Set while the worker is generating a chunk
+let poolFilling = false;
+
+// Takes n tokens from the pool, generating any that are missing inline, and
+// starts refilling the pool
+//
+// Inputs:
+//  n: number of tokens
+//  h2c: hash-to-curve method of the issuer the tokens are for
+// Returns:
+//  array of n blind tokens
+function takePooledTokens(n, h2c) {
+    const pool = tokenPools.get(hashToCurveKey(h2c)) || [];
+    let tokens = pool.splice(0, n);
+    if (tokens.length < n) {
+        tokens = tokens.concat(GenerateNewTokens(n - tokens.length, h2c));
+    }
+    refillPool();
+    return tokens;
+}
+
+// Asks the worker for another chunk of tokens when the browser is idle, until
+// there are as many tokens as the configured size for the hash-to-curve
+// method of every enabled issuer
+function refillPool() {
+    if (poolFilling) {
+        return;
+    }
+    const size = getPoolSettings().size;
+    const h2c = poolMethods().filter(function(m) {
+        return (tokenPools.get(hashToCurveKey(m)) || []).length < size;
+    })[0];
+    if (!h2c) {
+        return;
+    }
+    const worker = getPoolWorker();
+    if (worker === null) {
+        return;
+    }
+    const missing = size - (tokenPools.get(hashToCurveKey(h2c)) || []).length;
+    poolFilling = true;
+    whenIdle(function() {
+        worker.postMessage({ count: Math.min(POOL_CHUNK, missing), h2c: h2c });
+    });
+}
+
+// Returns the number of pooled tokens, over all hash-to-curve methods
+function getPoolLevel() {
+    let level = 0;
+    tokenPools.forEach(function(pool) {
+        level += pool.length;
+    });
+    return level;
+}
+
+// Returns the pool size, merged over the defaults
+//
+// Returns:
+//  { size }
+function getPoolSettings() {
+    const stored = storageGet(NS_SETTINGS, KEY_POOL_SETTINGS) || {};
+    return Object.assign({}, DEFAULT_POOL_SETTINGS, stored);
+}
+
+// Validates and stores the pool size, a size of 0 turns the pool off
+function setPoolSettings(settings) {
+    if (!Number.isInteger(settings.size) || settings.size < 0 || settings.size > POOL_MAX) {
+        return Promise.reject(new Error("[privacy-pass]: pool size must be between 0 and " + POOL_MAX));
+    }
+    return storageSet(NS_SETTINGS, KEY_POOL_SETTINGS, { size: settings.size }).then(function() {
+        tokenPools.forEach(function(pool, key) {
+            tokenPools.set(key, pool.slice(0, settings.size));
+        });
+        refillPool();
+    });
+}
+
+// Starts the worker the first time it is needed. Returns null if workers are
+// unavailable, in which case tokens are always generated inline.
+function getPoolWorker() {
+    if (poolWorker !== null || poolWorkerFailed || typeof Worker !== "function") {
+        return poolWorker;
+    }
+    poolWorker = new Worker(chrome.runtime.getURL(POOL_WORKER_SCRIPT));
+    poolWorker.onmessage = function(e) {
+        // Decode here rather than when the tokens are taken, so that nothing
+        // is left to do on the request path
+        const key = hashToCurveKey(e.data.h2c);
+        let pool = tokenPools.get(key) || [];
+        e.data.tokens.forEach(function(t) {
+            pool.push({ token: t.token, point: decodeStorablePoint(t.point), blind: new sjcl.bn(t.blind) });
+        });
+        tokenPools.set(key, pool);
+        poolFilling = false;
+        refillPool();
+    };
+    poolWorker.onerror = function(e) {
+        console.error("[privacy-pass]: token pool worker failed: " + e.message);
+        poolWorker.terminate();
+        poolWorker = null;
+        poolWorkerFailed = true;
+        poolFilling = false;
+    };
+    return poolWorker;
+}
+
+// The distinct hash-to-curve methods of the enabled issuers, Blind RSA
+// tokens depend on the issuer's key and aren't pooled
+function poolMethods() {
+    let seen = new Map();
+    getIssuers().filter(function(issuer) {
+        return issuer.enabled && issuer.protocol != PROTOCOL_BLIND_RSA;
+    }).forEach(function(issuer) {
+        seen.set(hashToCurveKey(issuer.hashToCurve), issuer.hashToCurve);
+    });
+    return Array.from(seen.values());
+}
+
+function whenIdle(fn) {
+    if (typeof requestIdleCallback === "function") {
+        requestIdleCallback(fn);
+    } else {
+        setTimeout(fn, 0);
+    }
+}
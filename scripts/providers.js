@@ -0,0 +1,414 @@
+/*
+ * Registry of the challenge services that passes are spent on.
+ *
+ * Each provider in ChallengeProviderConfigs (config.js) declares how its
+ * challenges are recognised, where its solutions are sent for issuance, the
+ * header that carries a pass and the codes it answers with, and its clearance
+ * cookie. The listeners in background.js look up the provider that matches a
+ * response, request or cookie and follow its rules, no service is treated
+ * differently from another.
+ *
+ * Solutions are recognised by markers in the URL, as in the reCAPTCHA flow,
+ * or by the fields of a POST body, as hCaptcha and Turnstile widgets submit
+ * their response tokens. Bodies can only be read in browsers that pass them
+ * to webRequest listeners, form and JSON bodies are understood. Any form can
+ * carry a widget's field, so bodies are only read for requests to one of the
+ * provider's issuance endpoints or its captcha domain, never for other forms
+ * such as logins.
+ *
+ * Providers can also let origins announce a challenge with a meta tag,
+ *
+ *  <meta id="captcha-bypass" name="<provider name>" content="<challenge value>">
+ *
+ * which content.js reports to the background page. Whether a provider
+ * accepts the tag defaults to its metaTag in config.js and can be changed on
+ * the options page.
+ *
+ * Providers that are missing a required field are left out of the registry
+ * with an error in the console.
+ */
+
+/* exported getChallengeProviders */
+/* exported getProviderSettings */
+/* exported setProviderSettings */
+/* exported getChallengeProvider */
+/* exported providerForChallenge */
+/* exported providerForResponseHeader */
+/* exported providerForIssuance */
+/* exported providerForSolutionBody */
+/* exported providerForCookie */
+/* exported providerForBypassTag */
+/* exported providerIssuer */
+/* exported redemptionError */
+/* exported isProviderErrorPage */
+/* exported isCaptchaHost */
+/* exported tagIssuanceUrl */
+/* exported readSolutionBody */
+/* exported buildIssuanceBody */
+"use strict";
+
+const REDEMPTION_VERIFICATION_ERROR = "verification";
+const REDEMPTION_CONNECTION_ERROR = "connection";
+const BYPASS_TAG_MAX_LENGTH = 256;
+const KEY_PROVIDER_SETTINGS = "providers";
+
+const ChallengeProviders = ChallengeProviderConfigs.filter(function(config) {
+    const reason = invalidProvider(config);
+    if (reason !== null) {
+        console.error("[privacy-pass]: ignoring challenge provider " + config.name + ": " + reason);
+        return false;
+    }
+    return true;
+});
+
+// Returns every registered provider, in the order of config.js
+function getChallengeProviders() {
+    return ChallengeProviders;
+}
+
+// Returns the settings of every provider that the user can change, merged
+// over config.js
+//
+// Returns:
+//  array of { name, metaTag }
+function getProviderSettings() {
+    const overrides = storageGet(NS_SETTINGS, KEY_PROVIDER_SETTINGS) || {};
+    return ChallengeProviders.map(function(provider) {
+        const override = overrides[provider.name] || {};
+        return {
+            name: provider.name,
+            metaTag: override.metaTag !== undefined ? override.metaTag : provider.challenge.metaTag === true,
+        };
+    });
+}
+
+// Stores the user overrides for providers
+//
+// Inputs:
+//  settings: map from provider name to { metaTag }
+// Returns:
+//  Promise that resolves when the settings have been stored
+function setProviderSettings(settings) {
+    const names = ChallengeProviders.map(function(provider) {
+        return provider.name;
+    });
+    const unknown = Object.keys(settings).filter(function(name) {
+        return names.indexOf(name) == -1;
+    });
+    if (unknown.length > 0) {
+        return Promise.reject(new Error("[privacy-pass]: unknown challenge providers: " + unknown.join(", ")));
+    }
+    const invalid = Object.keys(settings).filter(function(name) {
+        return typeof settings[name].metaTag !== "boolean";
+    });
+    if (invalid.length > 0) {
+        return Promise.reject(new Error("[privacy-pass]: metaTag must be true or false for " + invalid.join(", ")));
+    }
+    let stored = {};
+    Object.keys(settings).forEach(function(name) {
+        stored[name] = { metaTag: settings[name].metaTag };
+    });
+    return storageSet(NS_SETTINGS, KEY_PROVIDER_SETTINGS, stored);
+}
+
+// Returns the provider called name. Spend flags stored by versions without
+// providers only say true, they belong to the first provider.
+function getChallengeProvider(name) {
+    const found = ChallengeProviders.filter(function(provider) {
+        return provider.name == name;
+    })[0];
+    return found || ChallengeProviders[0] || null;
+}
+
+// Returns the provider that a response header from a request with the given
+// status announces a challenge for, or null
+function providerForChallenge(header, status) {
+    const name = header.name.toLowerCase();
+    return findProvider(function(provider) {
+        return provider.challenge.status == status
+            && provider.challenge.header == name
+            && provider.challenge.value == header.value;
+    });
+}
+
+// Returns the provider reporting the outcome of a redemption in the response
+// header called name, or null
+function providerForResponseHeader(name) {
+    name = name.toLowerCase();
+    return findProvider(function(provider) {
+        return provider.redemption.responseHeader == name;
+    });
+}
+
+// Returns the provider that the request to url sends a challenge solution to
+// in its URL, or null. Requests already tagged for issuance don't match again.
+function providerForIssuance(url) {
+    return findProvider(function(provider) {
+        return !isTaggedUrl(provider, url) && (provider.issuance.markers || []).some(function(marker) {
+            return url.indexOf(marker) != -1;
+        });
+    });
+}
+
+// Returns the provider that a POST request to url sends a challenge solution
+// to in its body, with the body. The body is only read if the request goes
+// to an issuance endpoint or the captcha domain of a provider that takes
+// solutions in the body.
+//
+// Inputs:
+//  url: request URL
+//  requestBody: details.requestBody of onBeforeRequest
+// Returns:
+//  { provider, body } with body as returned by readSolutionBody, or null
+function providerForSolutionBody(url, requestBody) {
+    if (!requestBody) {
+        return null;
+    }
+    const parsed = new URL(url);
+    const candidates = ChallengeProviders.filter(function(provider) {
+        return (provider.issuance.fields || []).length > 0
+            && !isTaggedUrl(provider, url)
+            && acceptsSolutionBody(provider, parsed);
+    });
+    if (candidates.length == 0) {
+        return null;
+    }
+    const body = readSolutionBody(requestBody);
+    if (body === null) {
+        return null;
+    }
+    for (let i = 0; i < candidates.length; i++) {
+        if (candidates[i].issuance.fields.some(function(field) {
+            return body.fields[field] !== undefined;
+        })) {
+            return { provider: candidates[i], body: body };
+        }
+    }
+    return null;
+}
+
+// Returns the provider whose clearance cookie is called name, or null
+function providerForCookie(name) {
+    return findProvider(function(provider) {
+        return provider.clearanceCookie == name;
+    });
+}
+
+// Returns the provider that a captcha-bypass meta tag announces a challenge
+// for, or null if the tag is malformed or its provider doesn't accept tags
+// (see getProviderSettings)
+//
+// Inputs:
+//  tag: { name, content } of the tag, name is the provider and content its
+//  challenge value
+function providerForBypassTag(tag) {
+    if (!tag || typeof tag.name !== "string" || typeof tag.content !== "string") {
+        return null;
+    }
+    if (tag.name.length > BYPASS_TAG_MAX_LENGTH || tag.content.length > BYPASS_TAG_MAX_LENGTH) {
+        return null;
+    }
+    const accepting = getProviderSettings().filter(function(settings) {
+        return settings.metaTag;
+    }).map(function(settings) {
+        return settings.name;
+    });
+    return findProvider(function(provider) {
+        return provider.name == tag.name
+            && accepting.indexOf(provider.name) != -1
+            && provider.challenge.value == tag.content;
+    });
+}
+
+// Returns the issuer whose wallet is used for challenges of provider on
+// host, when tokens are issued, challenges are answered and passes spent:
+// the enabled issuer that lists host, else the provider's own issuer if it
+// names an enabled one, else the default issuer if it is enabled, or null
+function providerIssuer(provider, host) {
+    const listing = issuerListingHost(host);
+    if (listing !== null) {
+        return listing;
+    }
+    const named = getIssuers().filter(function(issuer) {
+        return issuer.enabled && issuer.name == provider.issuer;
+    })[0];
+    if (named) {
+        return named;
+    }
+    const fallback = getDefaultIssuer();
+    return fallback && fallback.enabled ? fallback : null;
+}
+
+// Returns "verification" or "connection" if code is one of the provider's
+// redemption errors, or null
+//
+// Inputs:
+//  provider: provider object
+//  code: value of the provider's redemption response header
+function redemptionError(provider, code) {
+    const errors = provider.redemption.errors;
+    if (code == errors.verification) {
+        return REDEMPTION_VERIFICATION_ERROR;
+    }
+    if (code == errors.connection) {
+        return REDEMPTION_CONNECTION_ERROR;
+    }
+    return null;
+}
+
+// Checks whether url is a resource of one of the provider's error pages
+function isProviderErrorPage(provider, url) {
+    return (provider.errorPagePaths || []).some(function(path) {
+        return url.indexOf(path) != -1;
+    });
+}
+
+// Checks whether host serves the provider's own challenge page
+function isCaptchaHost(provider, host) {
+    return !!provider.captchaDomain && host.indexOf(provider.captchaDomain) != -1;
+}
+
+function isTaggedUrl(provider, url) {
+    const tag = provider.issuance.tag;
+    return url.indexOf("?" + tag) != -1 || url.indexOf("&" + tag) != -1;
+}
+
+function acceptsSolutionBody(provider, url) {
+    const onEndpoint = (provider.issuance.endpoints || []).some(function(path) {
+        return url.pathname.indexOf(path) == 0;
+    });
+    return onEndpoint || isCaptchaHost(provider, url.host);
+}
+
+// Returns the URL that tokens for a solution to url are sent to
+function tagIssuanceUrl(provider, url) {
+    return url + (url.indexOf("?") == -1 ? "?" : "&") + provider.issuance.tag;
+}
+
+// Reads the fields of a request body from webRequest
+//
+// Inputs:
+//  requestBody: details.requestBody of onBeforeRequest, undefined where the
+//  browser doesn't provide it
+// Returns:
+//  { fields, json } with a map from field name to value, where the value is
+//  an array of strings for form bodies, or null if there is no body that can
+//  be read
+function readSolutionBody(requestBody) {
+    if (!requestBody || requestBody.error) {
+        return null;
+    }
+    if (requestBody.formData) {
+        return { fields: requestBody.formData, json: false };
+    }
+    if (!requestBody.raw) {
+        return null;
+    }
+    let chunks = [];
+    for (let i = 0; i < requestBody.raw.length; i++) {
+        // Bodies that upload files aren't solutions
+        if (!requestBody.raw[i].bytes) {
+            return null;
+        }
+        chunks.push(new Uint8Array(requestBody.raw[i].bytes));
+    }
+    const text = new TextDecoder().decode(concatBytes(chunks));
+    try {
+        const parsed = JSON.parse(text);
+        if (parsed !== null && typeof parsed === "object" && !Array.isArray(parsed)) {
+            return { fields: parsed, json: true };
+        }
+        return null;
+    } catch(e) {
+        // Not JSON, read it as a form
+    }
+    let fields = {};
+    new URLSearchParams(text).forEach(function(value, name) {
+        fields[name] = (fields[name] || []).concat([value]);
+    });
+    return { fields: fields, json: false };
+}
+
+// Builds the body of the issuance request. The blinded tokens are added to
+// the solution as the provider's body field, next to the fields of a POST
+// body so that the solution token reaches the provider.
+//
+// Inputs:
+//  provider: provider object
+//  request: the issue request from BuildIssueRequest or BuildRSAIssueRequest
+//  body: the solution body as returned by readSolutionBody, or null
+// Returns:
+//  { contentType, body }
+function buildIssuanceBody(provider, request, body) {
+    const field = provider.issuance.body;
+    if (body !== null && body.json) {
+        let fields = Object.assign({}, body.fields);
+        fields[field] = request;
+        return { contentType: "application/json", body: JSON.stringify(fields) };
+    }
+    let pairs = [];
+    if (body !== null) {
+        Object.keys(body.fields).forEach(function(name) {
+            if (name == field) {
+                return;
+            }
+            body.fields[name].forEach(function(value) {
+                pairs.push(encodeURIComponent(name) + "=" + encodeURIComponent(value));
+            });
+        });
+    }
+    pairs.push(field + "=" + request);
+    return { contentType: "application/x-www-form-urlencoded", body: pairs.join("&") };
+}
+
+function concatBytes(chunks) {
+    const length = chunks.reduce(function(sum, chunk) {
+        return sum + chunk.length;
+    }, 0);
+    let bytes = new Uint8Array(length);
+    let offset = 0;
+    chunks.forEach(function(chunk) {
+        bytes.set(chunk, offset);
+        offset += chunk.length;
+    });
+    return bytes;
+}
+
+function findProvider(matches) {
+    for (let i = 0; i < ChallengeProviders.length; i++) {
+        if (matches(ChallengeProviders[i])) {
+            return ChallengeProviders[i];
+        }
+    }
+    return null;
+}
+
+// Returns why config can't be registered, or null if it can
+function invalidProvider(config) {
+    if (!config.name) {
+        return "no name";
+    }
+    const challenge = config.challenge || {};
+    if (!challenge.header || challenge.value === undefined || !challenge.status) {
+        return "no challenge header and status";
+    }
+    if (challenge.header != challenge.header.toLowerCase()) {
+        return "challenge header must be lower case";
+    }
+    const issuance = config.issuance || {};
+    const markers = (issuance.markers || []).concat(issuance.fields || []);
+    if (markers.length == 0 || !issuance.tag || !issuance.body) {
+        return "no issuance markers or fields, tag and body";
+    }
+    const redemption = config.redemption || {};
+    if (!redemption.header || !redemption.responseHeader || !redemption.errors) {
+        return "no redemption headers and errors";
+    }
+    if (redemption.responseHeader != redemption.responseHeader.toLowerCase()) {
+        return "redemption response header must be lower case";
+    }
+    if (!config.clearanceCookie) {
+        return "no clearance cookie";
+    }
+    return null;
+}
@@ -0,0 +1,193 @@
+/*
+ * Decoding of issue responses.
+ *
+ * The format of a response is chosen by its Content-Type, the request asks
+ * for them in the order below:
+ *
+ *  application/private-token-response
+ *      binary, as in RFC 9578. For Blind RSA the blind signatures of the
+ *      tokens, each as long as the issuer's modulus, one after another. For
+ *      VOPRF the compressed evaluated elements followed by the proof, c || s.
+ *      2HashDH issuers have no binary format.
+ *  application/json
+ *      { "version": 1, "signatures": [...], "proof": <batch proof> } for
+ *      2HashDH, { "version": 1, "elements": [...], "proof", "key" } for VOPRF
+ *      and { "version": 1, "signatures": [...] } for Blind RSA, with the
+ *      values in base64 as in the form body.
+ *  anything else
+ *      the legacy form body "signatures=" followed by base64 of the JSON
+ *      array or object described in background.js and voprf.js.
+ *
+ * Every format is decoded to the shape of the legacy body, the signatures of
+ * a 2HashDH response followed by its batch proof, the VOPRF object or the
+ * Blind RSA signatures as bytes, and the number of signatures is checked
+ * against the number of tokens that were sent before anything is verified.
+ */
+
+/*global sjcl*/
+/* exported ISSUE_RESPONSE_ACCEPT */
+/* exported decodeIssueResponse */
+"use strict";
+
+const ISSUE_RESPONSE_VERSION = 1;
+const ISSUE_RESPONSE_ACCEPT = TOKEN_RESPONSE_TYPE + ", application/json;q=0.9, */*;q=0.5";
+const ISSUE_RESPONSE_ERR = "[privacy-pass]: malformed issue response: ";
+const LEGACY_SIGNATURES_FIELD = "signatures=";
+
+// Decodes an issue response and checks that it answers every token
+//
+// Inputs:
+//  response: { contentType, bytes } with the body as a Uint8Array
+//  protocol: protocol of the issuer the tokens were created for
+//  count: number of tokens that were sent
+// Returns:
+//  for Blind RSA, the blind signatures as byte arrays. For 2HashDH and
+//  VOPRF, the array of signatures and batch proof or the VOPRF object, as
+//  decoded from a legacy body. Which of them depends on the response, the
+//  issuer that signed is known only once the proof has been verified.
+function decodeIssueResponse(response, protocol, count) {
+    const type = (response.contentType || "").split(";")[0].trim().toLowerCase();
+    let decoded;
+    if (type == TOKEN_RESPONSE_TYPE) {
+        decoded = decodeBinaryResponse(response.bytes, protocol, count);
+    } else if (type == "application/json") {
+        decoded = decodeJSONResponse(parseResponseJSON(utf8Body(response.bytes)), protocol);
+    } else {
+        decoded = decodeFormResponse(utf8Body(response.bytes), protocol);
+    }
+    checkResponseCount(decoded, protocol, count);
+    return decoded;
+}
+
+function decodeBinaryResponse(bytes, protocol, count) {
+    if (count == 0) {
+        throw new Error(ISSUE_RESPONSE_ERR + "no tokens were requested");
+    }
+    bytes = Array.from(bytes);
+    if (protocol == PROTOCOL_BLIND_RSA) {
+        if (bytes.length == 0 || bytes.length % count != 0) {
+            throw new Error(ISSUE_RESPONSE_ERR + bytes.length + " bytes can't hold " + count + " Blind RSA signatures");
+        }
+        const length = bytes.length / count;
+        let signatures = [];
+        for (let i = 0; i < count; i++) {
+            signatures.push(bytes.slice(i * length, (i + 1) * length));
+        }
+        return signatures;
+    }
+    if (protocol == PROTOCOL_VOPRF) {
+        const proofBytes = 2 * VOPRF_SCALAR_BYTES;
+        const expected = count * VOPRF_ELEMENT_BYTES + proofBytes;
+        if (bytes.length != expected) {
+            throw new Error(ISSUE_RESPONSE_ERR + "expected " + expected + " bytes for " + count + " VOPRF elements and a proof, got " + bytes.length);
+        }
+        let elements = [];
+        for (let i = 0; i < count; i++) {
+            elements.push(encodeResponseBytes(bytes.slice(i * VOPRF_ELEMENT_BYTES, (i + 1) * VOPRF_ELEMENT_BYTES)));
+        }
+        return { elements: elements, proof: encodeResponseBytes(bytes.slice(count * VOPRF_ELEMENT_BYTES)), key: null };
+    }
+    throw new Error(ISSUE_RESPONSE_ERR + "binary responses are not defined for " + protocol + " issuers");
+}
+
+function decodeJSONResponse(body, protocol) {
+    if (body === null || typeof body !== "object" || Array.isArray(body)) {
+        throw new Error(ISSUE_RESPONSE_ERR + "JSON body is not an object");
+    }
+    if (body.version !== ISSUE_RESPONSE_VERSION) {
+        throw new Error(ISSUE_RESPONSE_ERR + "unsupported version " + JSON.stringify(body.version));
+    }
+    if (body.elements !== undefined) {
+        return { elements: body.elements, proof: body.proof, key: body.key };
+    }
+    if (!Array.isArray(body.signatures)) {
+        throw new Error(ISSUE_RESPONSE_ERR + "no signatures");
+    }
+    if (protocol == PROTOCOL_BLIND_RSA) {
+        return decodeRSASignatures(body.signatures);
+    }
+    if (typeof body.proof !== "string") {
+        throw new Error(ISSUE_RESPONSE_ERR + "no batch proof");
+    }
+    return body.signatures.concat([body.proof]);
+}
+
+function decodeFormResponse(text, protocol) {
+    let value = null;
+    text.split("&").forEach(function(field) {
+        if (value === null && field.indexOf(LEGACY_SIGNATURES_FIELD) == 0) {
+            value = field.substring(LEGACY_SIGNATURES_FIELD.length).trim();
+        }
+    });
+    if (value === null) {
+        throw new Error(ISSUE_RESPONSE_ERR + "no signatures field in " + JSON.stringify(text.substring(0, 100)));
+    }
+    let json;
+    try {
+        json = atob(decodeURIComponent(value));
+    } catch(e) {
+        throw new Error(ISSUE_RESPONSE_ERR + "signatures are not base64");
+    }
+    const decoded = parseResponseJSON(json);
+    if (protocol == PROTOCOL_BLIND_RSA) {
+        if (!Array.isArray(decoded)) {
+            throw new Error(ISSUE_RESPONSE_ERR + "Blind RSA signatures are not an array");
+        }
+        return decodeRSASignatures(decoded);
+    }
+    if (decoded === null || typeof decoded !== "object") {
+        throw new Error(ISSUE_RESPONSE_ERR + "signatures are neither an array nor an object");
+    }
+    return decoded;
+}
+
+function decodeRSASignatures(signatures) {
+    return signatures.map(function(signature, i) {
+        if (typeof signature !== "string") {
+            throw new Error(ISSUE_RESPONSE_ERR + "signature " + i + " is not a string");
+        }
+        try {
+            return sjcl.codec.bytes.fromBits(sjcl.codec.base64.toBits(signature));
+        } catch(e) {
+            throw new Error(ISSUE_RESPONSE_ERR + "signature " + i + " is not base64");
+        }
+    });
+}
+
+// Throws unless the response holds one signature for each token
+function checkResponseCount(decoded, protocol, count) {
+    let signatures;
+    if (protocol == PROTOCOL_BLIND_RSA) {
+        signatures = decoded.length;
+    } else if (Array.isArray(decoded)) {
+        if (decoded.length == 0) {
+            throw new Error(ISSUE_RESPONSE_ERR + "no batch proof");
+        }
+        // The last element is the batch proof
+        signatures = decoded.length - 1;
+    } else {
+        if (!Array.isArray(decoded.elements)) {
+            throw new Error(ISSUE_RESPONSE_ERR + "VOPRF elements are not an array");
+        }
+        signatures = decoded.elements.length;
+    }
+    if (signatures != count) {
+        throw new Error(ISSUE_RESPONSE_ERR + "expected " + count + " signatures, got " + signatures);
+    }
+}
+
+function parseResponseJSON(text) {
+    try {
+        return JSON.parse(text);
+    } catch(e) {
+        throw new Error(ISSUE_RESPONSE_ERR + "invalid JSON");
+    }
+}
+
+function utf8Body(bytes) {
+    return new TextDecoder().decode(bytes);
+}
+
+function encodeResponseBytes(bytes) {
+    return sjcl.codec.base64.fromBits(sjcl.codec.bytes.toBits(bytes));
+}
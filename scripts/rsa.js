@@ -0,0 +1,310 @@
+/*
+ * Publicly verifiable tokens with RSA blind signatures, token type 0x0002 of
+ * RFC 9578 using RSABSSA-SHA384-PSS-Deterministic from RFC 9474.
+ *
+ * EC-OPRF tokens can only be checked by the issuer, since verifying them needs
+ * its secret key. A Blind RSA token is an ordinary RSA-PSS signature over
+ *
+ *  token_input = token_type || nonce || challenge_digest || token_key_id
+ *
+ * so any origin holding the issuer's public key can verify it. The client
+ * blinds token_input, the issuer signs the blinded message and the client
+ * unblinds the result, checking the signature before the token is stored.
+ *
+ * The commitment of a Blind RSA epoch is { publicKey } holding the issuer's
+ * key as a base64 SubjectPublicKeyInfo, token_key_id is the SHA-256 of it.
+ * Tokens issued through the CAPTCHA flow aren't tied to a challenge yet, so
+ * they are issued for the challenge with just the issuer name, which any
+ * origin trusting the issuer can send.
+ */
+
+/*global sjcl*/
+/* exported TOKEN_TYPE_BLIND_RSA */
+/* exported PROTOCOL_BLIND_RSA */
+/* exported buildTokenChallenge */
+/* exported createRSATokens */
+/* exported tokenRequestBytes */
+/* exported finalizeRSAToken */
+/* exported verifyRSAToken */
+/* exported RSA_NONCE_BYTES */
+"use strict";
+
+const TOKEN_TYPE_BLIND_RSA = 0x0002;
+const PROTOCOL_BLIND_RSA = "blind-rsa";
+
+const RSA_NONCE_BYTES = 32;
+const RSA_SALT_BYTES = 48;
+const SHA384_BYTES = 48;
+// token_type, nonce, challenge_digest, token_key_id
+const RSA_TOKEN_INPUT_BYTES = 2 + RSA_NONCE_BYTES + 32 + 32;
+const RSA_SIGNATURE_ERR = "[privacy-pass]: Blind RSA signature does not verify";
+
+// Parsed public keys by their base64 encoding
+let rsaKeys = new Map();
+
+// Builds a TokenChallenge as defined in RFC 9577
+//
+// Inputs:
+//  issuerName: host name of the issuer
+//  redemptionContext: array of 0 or 32 bytes
+//  originInfo: string, the origins the token is for, or empty for any
+// Returns:
+//  bytes
+function buildTokenChallenge(issuerName, redemptionContext, originInfo) {
+    const name = utf8Bytes(issuerName);
+    const origins = utf8Bytes(originInfo);
+    return [TOKEN_TYPE_BLIND_RSA >> 8, TOKEN_TYPE_BLIND_RSA & 0xff].concat(
+        [name.length >> 8, name.length & 0xff], name,
+        [redemptionContext.length], redemptionContext,
+        [origins.length >> 8, origins.length & 0xff], origins
+    );
+}
+
+// Creates blinded tokens for a key epoch of a Blind RSA issuer
+//
+// Inputs:
+//  n: number of tokens
+//  issuer: issuer object from getIssuers()
+//  challenge: TokenChallenge bytes, defaults to the issuer's bare challenge
+//  epoch: epoch of the key to use, defaults to the newest
+// Returns:
+//  array of { input, blindedMsg, inv, epoch }, to be kept until the issuer
+//  responds
+function createRSATokens(n, issuer, challenge, epoch) {
+    epoch = epoch || issuer.epochs[issuer.epochs.length - 1];
+    const key = parseRSAPublicKey(epoch.commitment.publicKey);
+    const challengeDigest = sha256Bytes(challenge || buildTokenChallenge(issuer.issuerName, [], ""));
+
+    let tokens = [];
+    for (let i = 0; i < n; i++) {
+        const nonce = Array.from(crypto.getRandomValues(new Uint8Array(RSA_NONCE_BYTES)));
+        const input = [TOKEN_TYPE_BLIND_RSA >> 8, TOKEN_TYPE_BLIND_RSA & 0xff].concat(nonce, challengeDigest, key.id);
+        const blinded = rsaBlind(key, input);
+        tokens.push({ input: input, blindedMsg: blinded.blindedMsg, inv: blinded.inv, epoch: epoch });
+    }
+    return tokens;
+}
+
+// Encodes the TokenRequest of RFC 9578, section 6.1, for a token from
+// createRSATokens:
+//
+// struct {
+//     uint16_t token_type = 0x0002;
+//     uint8_t truncated_token_key_id;
+//     uint8_t blinded_msg[Nk];
+// } TokenRequest;
+//
+// where truncated_token_key_id is the last byte of the token key id.
+function tokenRequestBytes(token) {
+    const input = token.input;
+    return input.slice(0, 2).concat([input[input.length - 1]], token.blindedMsg);
+}
+
+// Unblinds the issuer's signature for a token and checks it
+//
+// Inputs:
+//  token: pending token from createRSATokens
+//  blindSig: bytes of the blinded signature
+// Returns:
+//  bytes of the complete Token, token_input || authenticator
+function finalizeRSAToken(token, blindSig) {
+    const key = parseRSAPublicKey(token.epoch.commitment.publicKey);
+    if (blindSig.length != key.length) {
+        throw new Error("[privacy-pass]: Blind RSA signature has the wrong length");
+    }
+    const s = (bytesToBig(blindSig) * token.inv) % key.n;
+    const sig = i2osp(s, key.length);
+    if (!rsaPSSVerify(key, token.input, sig)) {
+        throw issueError(ISSUE_PROOF_FAILURE, RSA_SIGNATURE_ERR);
+    }
+    return token.input.concat(sig);
+}
+
+// Verifies a complete Token against the issuer's public key, as an origin
+// would
+//
+// Inputs:
+//  token: bytes of the Token
+//  publicKey: base64 SubjectPublicKeyInfo
+// Returns:
+//  true if the token is valid for the key
+function verifyRSAToken(token, publicKey) {
+    const key = parseRSAPublicKey(publicKey);
+    if (token.length != RSA_TOKEN_INPUT_BYTES + key.length) {
+        return false;
+    }
+    if (((token[0] << 8) | token[1]) != TOKEN_TYPE_BLIND_RSA) {
+        return false;
+    }
+    const keyId = token.slice(RSA_TOKEN_INPUT_BYTES - 32, RSA_TOKEN_INPUT_BYTES);
+    if (!bytesEqual(keyId, key.id)) {
+        return false;
+    }
+    return rsaPSSVerify(key, token.slice(0, RSA_TOKEN_INPUT_BYTES), token.slice(RSA_TOKEN_INPUT_BYTES));
+}
+
+// Blind from RFC 9474, section 4.2, without message preparation
+function rsaBlind(key, msg) {
+    const salt = Array.from(crypto.getRandomValues(new Uint8Array(RSA_SALT_BYTES)));
+    const m = bytesToBig(emsaPSSEncode(msg, key.bits - 1, salt));
+    let r;
+    do {
+        r = bytesToBig(Array.from(crypto.getRandomValues(new Uint8Array(key.length)))) % key.n;
+    } while (r == B0);
+    const inv = invMod(r, key.n);
+    const z = (m * powMod(r, key.e, key.n)) % key.n;
+    return { blindedMsg: i2osp(z, key.length), inv: inv };
+}
+
+// RSASSA-PSS-VERIFY from RFC 8017, section 8.1.2
+function rsaPSSVerify(key, msg, sig) {
+    if (sig.length != key.length) {
+        return false;
+    }
+    const s = bytesToBig(sig);
+    if (s >= key.n) {
+        return false;
+    }
+    const emBits = key.bits - 1;
+    const em = i2osp(powMod(s, key.e, key.n), Math.ceil(emBits / 8));
+    return emsaPSSVerify(msg, em, emBits);
+}
+
+// EMSA-PSS-ENCODE from RFC 8017, section 9.1.1, with SHA-384 and MGF1-SHA384
+function emsaPSSEncode(msg, emBits, salt) {
+    const emLen = Math.ceil(emBits / 8);
+    const mHash = sha384Bytes(msg);
+    const H = sha384Bytes(new Array(8).fill(0).concat(mHash, salt));
+    const db = new Array(emLen - salt.length - SHA384_BYTES - 2).fill(0).concat([0x01], salt);
+    const dbMask = mgf1SHA384(H, emLen - SHA384_BYTES - 1);
+    let maskedDB = db.map(function(b, i) {
+        return b ^ dbMask[i];
+    });
+    maskedDB[0] &= 0xff >> (8 * emLen - emBits);
+    return maskedDB.concat(H, [0xbc]);
+}
+
+// EMSA-PSS-VERIFY from RFC 8017, section 9.1.2
+function emsaPSSVerify(msg, em, emBits) {
+    const emLen = Math.ceil(emBits / 8);
+    const topMask = 0xff >> (8 * emLen - emBits);
+    if (emLen < SHA384_BYTES + RSA_SALT_BYTES + 2 || em[emLen - 1] != 0xbc || (em[0] & ~topMask) != 0) {
+        return false;
+    }
+    const maskedDB = em.slice(0, emLen - SHA384_BYTES - 1);
+    const H = em.slice(emLen - SHA384_BYTES - 1, emLen - 1);
+    const dbMask = mgf1SHA384(H, maskedDB.length);
+    let db = maskedDB.map(function(b, i) {
+        return b ^ dbMask[i];
+    });
+    db[0] &= topMask;
+    const psLen = emLen - SHA384_BYTES - RSA_SALT_BYTES - 2;
+    for (let i = 0; i < psLen; i++) {
+        if (db[i] != 0) {
+            return false;
+        }
+    }
+    if (db[psLen] != 0x01) {
+        return false;
+    }
+    const salt = db.slice(db.length - RSA_SALT_BYTES);
+    const expected = sha384Bytes(new Array(8).fill(0).concat(sha384Bytes(msg), salt));
+    return bytesEqual(H, expected);
+}
+
+function mgf1SHA384(seed, length) {
+    let mask = [];
+    for (let counter = 0; mask.length < length; counter++) {
+        const c = [(counter >>> 24) & 0xff, (counter >>> 16) & 0xff, (counter >>> 8) & 0xff, counter & 0xff];
+        mask = mask.concat(sha384Bytes(seed.concat(c)));
+    }
+    return mask.slice(0, length);
+}
+
+// Reads the modulus and exponent from a SubjectPublicKeyInfo. Both the
+// rsaEncryption and the id-RSASSA-PSS algorithm identifiers are accepted, the
+// parameters of the latter are not checked.
+//
+// Returns:
+//  { n, e, bits, length, id } where length is the modulus size in bytes and
+//  id is the token_key_id
+function parseRSAPublicKey(b64) {
+    if (rsaKeys.has(b64)) {
+        return rsaKeys.get(b64);
+    }
+    const spki = sjcl.codec.bytes.fromBits(sjcl.codec.base64.toBits(b64));
+    const outer = derRead(spki, 0, 0x30);
+    const algorithm = derRead(spki, outer.start, 0x30);
+    const bitString = derRead(spki, algorithm.end, 0x03);
+    // Skip the count of unused bits
+    const rsaKey = derRead(spki, bitString.start + 1, 0x30);
+    const modulus = derRead(spki, rsaKey.start, 0x02);
+    const exponent = derRead(spki, modulus.end, 0x02);
+
+    const n = bytesToBig(spki.slice(modulus.start, modulus.end));
+    const key = {
+        n: n,
+        e: bytesToBig(spki.slice(exponent.start, exponent.end)),
+        bits: n.toString(2).length,
+        length: Math.ceil(n.toString(2).length / 8),
+        id: sha256Bytes(spki),
+    };
+    rsaKeys.set(b64, key);
+    return key;
+}
+
+// Reads the DER header at off and checks its tag
+//
+// Returns:
+//  { start, end } of the contents
+function derRead(bytes, off, tag) {
+    if (bytes[off] != tag) {
+        throw new Error("[privacy-pass]: malformed RSA public key");
+    }
+    let length = bytes[off + 1];
+    let start = off + 2;
+    if (length & 0x80) {
+        const count = length & 0x7f;
+        length = 0;
+        for (let i = 0; i < count; i++) {
+            length = length * 256 + bytes[start + i];
+        }
+        start += count;
+    }
+    if (start + length > bytes.length) {
+        throw new Error("[privacy-pass]: malformed RSA public key");
+    }
+    return { start: start, end: start + length };
+}
+
+function sha384Bytes(bytes) {
+    return sjcl.codec.bytes.fromBits(sjcl.hash.sha384.hash(sjcl.codec.bytes.toBits(bytes)));
+}
+
+// Big-endian, left-padded to length bytes
+function i2osp(v, length) {
+    let hex = v.toString(16);
+    if (hex.length % 2) {
+        hex = "0" + hex;
+    }
+    let bytes = [];
+    for (let i = 0; i < hex.length; i += 2) {
+        bytes.push(parseInt(hex.substring(i, i + 2), 16));
+    }
+    return new Array(length - bytes.length).fill(0).concat(bytes);
+}
+
+function utf8Bytes(s) {
+    return sjcl.codec.bytes.fromBits(sjcl.codec.utf8String.toBits(s));
+}
+
+function bytesEqual(a, b) {
+    if (a.length != b.length) {
+        return false;
+    }
+    let diff = 0;
+    for (let i = 0; i < a.length; i++) {
+        diff |= a[i] ^ b[i];
+    }
+    return diff == 0;
+}
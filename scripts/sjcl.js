@@ -1551,6 +1551,91 @@ sjcl.hash.sha512.prototype = {
 };
 
 
+/** @fileOverview Javascript SHA-384 implementation.
+ *
+ * SHA-384 is SHA-512 with a different initialization vector, truncated to
+ * 384 bits. This reuses the SHA-512 rounds and key.
+ */
+
+/**
+ * Context for a SHA-384 operation in progress.
+ * @constructor
+ */
+sjcl.hash.sha384 = function (hash) {
+  if (!this._key[0]) { sjcl.hash.sha512.prototype._precompute(); }
+  if (hash) {
+    this._h = hash._h.slice(0);
+    this._buffer = hash._buffer.slice(0);
+    this._length = hash._length;
+  } else {
+    this.reset();
+  }
+};
+
+/**
+ * Hash a string or an array of words.
+ * @static
+ * @param {bitArray|String} data the data to hash.
+ * @return {bitArray} The hash value, an array of 12 big-endian words.
+ */
+sjcl.hash.sha384.hash = function (data) {
+  return (new sjcl.hash.sha384()).update(data).finalize();
+};
+
+sjcl.hash.sha384.prototype = {
+  /**
+   * The hash's block size, in bits.
+   * @constant
+   */
+  blockSize: 1024,
+
+  /**
+   * Reset the hash state.
+   * @return this
+   */
+  reset:function () {
+    this._h = this._init.slice(0);
+    this._buffer = [];
+    this._length = 0;
+    return this;
+  },
+
+  /**
+   * Input several words to the hash.
+   * @param {bitArray|String} data the data to hash.
+   * @return this
+   */
+  update: sjcl.hash.sha512.prototype.update,
+
+  /**
+   * Complete hashing and output the hash value.
+   * @return {bitArray} The hash value, an array of 12 big-endian words.
+   */
+  finalize:function () {
+    return sjcl.bitArray.clamp(sjcl.hash.sha512.prototype.finalize.call(this), 384);
+  },
+
+  /**
+   * The SHA-384 initialization vector.
+   * @private
+   */
+  _init:
+  [0xcbbb9d5d, 0xc1059ed8, 0x629a292a, 0x367cd507, 0x9159015a, 0x3070dd17, 0x152fecd8, 0xf70e5939,
+   0x67332667, 0xffc00b31, 0x8eb44a87, 0x68581511, 0xdb0c2e0d, 0x64f98fa7, 0x47b5481d, 0xbefa4fa4],
+
+  /**
+   * The SHA-512 hash key, shared with sjcl.hash.sha512.
+   * @private
+   */
+  _key: sjcl.hash.sha512.prototype._key,
+
+  /**
+   * Perform one cycle of SHA-512.
+   * @private
+   */
+  _block: sjcl.hash.sha512.prototype._block
+};
+
 /** @fileOverview Javascript SHA-1 implementation.
  *
  * Based on the implementation in RFC 3174, method 1, and on the SJCL
@@ -0,0 +1,190 @@
+/*
+ * Transactional spending of tokens.
+ *
+ * A token is reserved for a redemption request rather than being removed from
+ * the wallet up front. It is only taken out of the wallet once the outcome of
+ * the request is known:
+ *
+ *  - commit: the edge accepted the pass (a clearance cookie was set, or the
+ *    response carried no error), or we never heard back and must assume the
+ *    edge saw it
+ *  - burn: the edge rejected the pass with a verification error, the reason is
+ *    recorded
+ *  - return: the edge never verified the pass because of a connection error,
+ *    so the token goes back into the pool and can be spent again
+ *
+ * Reservations are stored, so that a token whose request was in flight when
+ * the background page went away isn't spent a second time. The page never
+ * hears back about those requests, so their tokens are committed when it
+ * starts again, or once the wallet is unlocked if it is encrypted.
+ */
+
+/*global sjcl*/
+/* exported reserveToken */
+/* exported hasReservation */
+/* exported commitToken */
+/* exported commitTokensForHost */
+/* exported commitOrphanedReservations */
+/* exported burnToken */
+/* exported returnToken */
+/* exported getBurnedTokens */
+"use strict";
+
+const KEY_BURNED = "burned";
+const KEY_RESERVATIONS = "reservations";
+const BURNED_MAX = 100;
+const RESERVATION_TIMEOUT = 60 * 1000;
+
+// Timers that commit the open reservations of this page, by request id
+let reservationTimers = new Map();
+
+// Picks an unreserved token from the oldest spendable epoch of the issuer and
+// reserves it for the request
+//
+// Inputs:
+//  issuer: issuer object from getIssuers()
+//  requestId: webRequest id of the redemption request
+//  host: host that the pass is spent on
+//  accept: optional predicate, only tokens it returns true for are picked
+// Returns:
+//  usable token, or null if every token is spent or reserved. Only that
+//  token is decoded, accept is called with the stored encodings.
+function reserveToken(issuer, requestId, host, accept) {
+    let open = getReservations();
+    let reserved = new Map();
+    Object.keys(open).forEach(function(id) {
+        reserved[open[id].key] = true;
+    });
+
+    const ids = spendableWalletIds(issuer);
+    for (let i = 0; i < ids.length; i++) {
+        const stored = readStoredTokens(ids[i]) || [];
+        for (let j = 0; j < stored.length; j++) {
+            const key = tokenKey(stored[j]);
+            if (reserved[key] || (accept && !accept(stored[j]))) {
+                continue;
+            }
+            open[requestId] = { walletId: ids[i], key: key, host: host };
+            saveReservations(open);
+            // Without an answer we have to assume the edge saw the pass
+            reservationTimers.set(requestId, setTimeout(function() {
+                commitToken(requestId);
+            }, RESERVATION_TIMEOUT));
+            return decodeStoredToken(stored[j]);
+        }
+    }
+    return null;
+}
+
+function hasReservation(requestId) {
+    return getReservations()[requestId] !== undefined;
+}
+
+// Removes the reserved token from the wallet after a successful redemption
+function commitToken(requestId) {
+    const r = takeReservation(requestId);
+    if (r) {
+        removeFromWallet(r);
+    }
+}
+
+// Commits every reservation for domain or a subdomain of it, used when the
+// edge sets a clearance cookie for the domain
+function commitTokensForHost(domain) {
+    const suffix = domain.replace(/^\./, "");
+    const open = getReservations();
+    Object.keys(open).filter(function(requestId) {
+        const host = open[requestId].host;
+        return host == suffix || host.endsWith("." + suffix);
+    }).forEach(commitToken);
+}
+
+// Commits the reservations left open by a previous run of the background
+// page. Nothing can be removed from a locked wallet, so they are kept until
+// it is unlocked and still keep their tokens from being spent.
+function commitOrphanedReservations() {
+    if (isWalletLocked()) {
+        return;
+    }
+    Object.keys(getReservations()).filter(function(requestId) {
+        return !reservationTimers.has(requestId);
+    }).forEach(commitToken);
+}
+
+// Removes the reserved token from the wallet after the edge rejected it and
+// records why
+//
+// Inputs:
+//  requestId: webRequest id of the redemption request
+//  reason: short description of the failure, e.g. the error code
+// Returns:
+//  the id of the wallet the token was taken from, or null
+function burnToken(requestId, reason) {
+    const r = takeReservation(requestId);
+    if (!r) {
+        return null;
+    }
+    removeFromWallet(r);
+    let burned = getBurnedTokens();
+    burned.unshift({ host: r.host, wallet: r.walletId, reason: reason, time: Date.now() });
+    storageSet(NS_REDEEM, KEY_BURNED, burned.slice(0, BURNED_MAX)).catch(function(err) {
+        console.error(err.message);
+    });
+    return r.walletId;
+}
+
+// Releases the reserved token so that it can be spent again
+function returnToken(requestId) {
+    takeReservation(requestId);
+}
+
+// Returns the most recent burned tokens, newest first, as
+// { host, wallet, reason, time }
+function getBurnedTokens() {
+    return storageGet(NS_REDEEM, KEY_BURNED) || [];
+}
+
+function takeReservation(requestId) {
+    let open = getReservations();
+    const r = open[requestId];
+    if (!r) {
+        return null;
+    }
+    clearTimeout(reservationTimers.get(requestId));
+    reservationTimers.delete(requestId);
+    delete open[requestId];
+    saveReservations(open);
+    return r;
+}
+
+// Open reservations by request id, as { walletId, key, host }
+function getReservations() {
+    return storageGet(NS_REDEEM, KEY_RESERVATIONS) || {};
+}
+
+function saveReservations(open) {
+    storageSet(NS_REDEEM, KEY_RESERVATIONS, open).catch(function(err) {
+        console.error(err.message);
+    });
+}
+
+// The wallet may have changed since the token was reserved, so it is looked
+// up again rather than removed by position. If the wallet has been locked in
+// the meantime the token stays where it is.
+function removeFromWallet(r) {
+    const stored = readStoredTokens(r.walletId);
+    if (stored == null) {
+        return;
+    }
+    const remaining = stored.filter(function(t) {
+        return tokenKey(t) != r.key;
+    });
+    if (remaining.length != stored.length) {
+        writeStoredTokens(r.walletId, remaining);
+        countStoredTokens();
+    }
+}
+
+function tokenKey(t) {
+    return sjcl.codec.base64.fromBits(sjcl.codec.bytes.toBits(t.token));
+}
@@ -0,0 +1,226 @@
+/*
+ * Versioned storage layer for the extension on top of chrome.storage.local.
+ *
+ * Keys are namespaced as "<namespace>/<key>" so that the wallet, the spend
+ * flags and anything added later never share a keyspace. chrome.storage is
+ * asynchronous but the blocking webRequest listeners are not, so every read is
+ * served from an in-memory mirror that is filled once by initStorage(). Writes
+ * update the mirror straight away and return a Promise for the persisted
+ * result. Writes made before the mirror is filled are applied over the loaded
+ * data.
+ */
+
+/* exported NS_WALLET */
+/* exported NS_SPEND */
+/* exported NS_SETTINGS */
+/* exported NS_OUTBOX */
+/* exported NS_META */
+/* exported NS_REDEEM */
+/* exported NS_AUDIT */
+/* exported initStorage */
+/* exported storageGet */
+/* exported storageSet */
+/* exported storageRemove */
+/* exported storageClear */
+/* exported storageKeys */
+"use strict";
+
+const NS_WALLET = "wallet";
+const NS_SPEND = "spend";
+const NS_SETTINGS = "settings";
+const NS_OUTBOX = "outbox";
+const NS_META = "meta";
+const NS_REDEEM = "redeem";
+const NS_AUDIT = "audit";
+const KEY_SEPARATOR = "/";
+const KEY_SCHEMA_VERSION = "schema-version";
+const LEGACY_KEY_TOKENS = "cf-bypass-tokens";
+
+// Each migration takes the store from version i to version i+1, so the
+// current schema version is always the length of this array.
+const STORAGE_MIGRATIONS = [
+    migrateLegacyLocalStorage,
+    migrateWalletPerIssuer,
+];
+const STORAGE_SCHEMA_VERSION = STORAGE_MIGRATIONS.length;
+
+// Mirror of everything we have persisted, keyed by the full namespaced key
+let storageMirror = new Map();
+
+// Resolves once the mirror has been filled and all migrations have run
+let storageReady = null;
+
+// Writes made before the mirror is filled, replayed in order over what is
+// loaded so that they aren't lost. Null once the mirror is filled.
+let storagePending = [];
+
+// Loads the persisted state into the mirror and migrates it to the current
+// schema version. Safe to call more than once.
+//
+// Returns:
+//  Promise that resolves when storage can be used
+function initStorage() {
+    if (storageReady) {
+        return storageReady;
+    }
+    storageReady = storageCall("get", null).then(function(items) {
+        storageMirror = new Map();
+        Object.keys(items || {}).forEach(function(key) {
+            storageMirror.set(key, items[key]);
+        });
+        const pending = storagePending;
+        storagePending = null;
+        pending.forEach(function(replay) {
+            replay();
+        });
+        return runMigrations();
+    });
+    return storageReady;
+}
+
+// Runs any migrations that the persisted schema version has not seen yet
+function runMigrations() {
+    let version = storageGet(NS_META, KEY_SCHEMA_VERSION) || 0;
+    if (version > STORAGE_SCHEMA_VERSION) {
+        throw new Error("[privacy-pass]: storage schema version " + version + " is newer than supported version " + STORAGE_SCHEMA_VERSION);
+    }
+    let chain = Promise.resolve();
+    for (let v = version; v < STORAGE_SCHEMA_VERSION; v++) {
+        chain = chain.then(STORAGE_MIGRATIONS[v]).then(function() {
+            return storageSet(NS_META, KEY_SCHEMA_VERSION, v + 1);
+        });
+    }
+    return chain;
+}
+
+// Version 0 -> 1: the wallet used to live in window.localStorage. Carry the
+// tokens forward into the wallet namespace and then drop the legacy key. The
+// rest of localStorage is not ours to clear.
+function migrateLegacyLocalStorage() {
+    let legacyJSON = null;
+    try {
+        legacyJSON = localStorage.getItem(LEGACY_KEY_TOKENS);
+    } catch(e) {
+        // localStorage may be unavailable (e.g. disabled cookies in Firefox)
+        return Promise.resolve();
+    }
+    if (!legacyJSON) {
+        return Promise.resolve();
+    }
+
+    let tokens;
+    try {
+        tokens = JSON.parse(legacyJSON) || [];
+    } catch(e) {
+        // Leave the legacy tokens where they are rather than losing them
+        console.error("[privacy-pass]: unable to parse legacy tokens, leaving them in place: " + e.message);
+        return Promise.resolve();
+    }
+
+    let migrated = Promise.resolve();
+    if (tokens.length > 0) {
+        migrated = storageSet(NS_WALLET, "tokens", tokens);
+    }
+    return migrated.then(function() {
+        localStorage.removeItem(LEGACY_KEY_TOKENS);
+    });
+}
+
+// Version 1 -> 2: there is one wallet per issuer now. Everything stored
+// before that was issued under the default (production) commitments.
+function migrateWalletPerIssuer() {
+    const tokens = storageGet(NS_WALLET, "tokens");
+    if (tokens === null) {
+        return Promise.resolve();
+    }
+    return storageSet(NS_WALLET, "tokens/" + getDefaultIssuer().id, tokens).then(function() {
+        return storageRemove(NS_WALLET, "tokens");
+    });
+}
+
+// Returns the stored value for the key in the namespace, or null
+function storageGet(ns, key) {
+    const value = storageMirror.get(namespacedKey(ns, key));
+    return value === undefined ? null : value;
+}
+
+// Stores a JSON-serializable value for the key in the namespace
+//
+// Returns:
+//  Promise that resolves when the value has been persisted
+function storageSet(ns, key, value) {
+    const fullKey = namespacedKey(ns, key);
+    storageMirror.set(fullKey, value);
+    whileLoading(function() {
+        storageMirror.set(fullKey, value);
+    });
+    let items = {};
+    items[fullKey] = value;
+    return storageCall("set", items);
+}
+
+// Removes the key in the namespace
+function storageRemove(ns, key) {
+    const fullKey = namespacedKey(ns, key);
+    storageMirror.delete(fullKey);
+    whileLoading(function() {
+        storageMirror.delete(fullKey);
+    });
+    return storageCall("remove", fullKey);
+}
+
+// Removes every key in the namespace and nothing else
+function storageClear(ns) {
+    // Keys that are only on disk yet are removed once they are loaded
+    whileLoading(function() {
+        storageClear(ns).catch(function(err) {
+            console.error(err.message);
+        });
+    });
+    const keys = storageKeys(ns).map(function(key) {
+        return namespacedKey(ns, key);
+    });
+    keys.forEach(function(key) {
+        storageMirror.delete(key);
+    });
+    if (keys.length == 0) {
+        return Promise.resolve();
+    }
+    return storageCall("remove", keys);
+}
+
+// Returns the keys (without the namespace) that are stored in the namespace
+function storageKeys(ns) {
+    const prefix = ns + KEY_SEPARATOR;
+    let keys = [];
+    storageMirror.forEach(function(value, key) {
+        if (key.indexOf(prefix) === 0) {
+            keys.push(key.substring(prefix.length));
+        }
+    });
+    return keys;
+}
+
+// Queues replay to be run over the loaded data if the mirror isn't filled yet
+function whileLoading(replay) {
+    if (storagePending !== null) {
+        storagePending.push(replay);
+    }
+}
+
+function namespacedKey(ns, key) {
+    return ns + KEY_SEPARATOR + key;
+}
+
+// Wraps the callback-style chrome.storage.local API in a Promise
+function storageCall(method, arg) {
+    return new Promise(function(resolve, reject) {
+        chrome.storage.local[method](arg, function(result) {
+            if (chrome.runtime.lastError) {
+                reject(new Error("[privacy-pass]: storage " + method + " failed: " + chrome.runtime.lastError.message));
+                return;
+            }
+            resolve(result);
+        });
+    });
+}
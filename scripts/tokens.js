@@ -10,29 +10,30 @@
 /* exported CreateBlindToken */
 /* exported GenerateNewTokens */
 /* exported BuildIssueRequest */
+/* exported BuildRSAIssueRequest */
 /* exported BuildRedeemHeader */
 "use strict";
 
 
 // Creates
 // Inputs:
-//  none
+//  h2c: the issuer's hash-to-curve method, { method, dst }
 // Returns:
 //  token bytes
 //  T sjcl point
 //  r blinding factor, sjcl bignum
-function CreateBlindToken() {
-    let t = newRandomPoint();
+function CreateBlindToken(h2c) {
+    let t = newRandomPoint(h2c);
     let bpt = blindPoint(t.point);
     return { token: t.token, point: bpt.point, blind: bpt.blind };
 }
 
 // returns: array of blind tokens
-function GenerateNewTokens(n) {
+function GenerateNewTokens(n, h2c) {
     let i = 0;
     let tokens = new Array(n);
     for (i = 0; i < tokens.length; i++) {
-        tokens[i] = CreateBlindToken();
+        tokens[i] = CreateBlindToken(h2c);
     }
     return tokens;
 }
@@ -62,6 +63,18 @@ function BuildIssueRequest(tokens) {
     return btoa(JSON.stringify({ type: "Issue", contents: contents}));
 }
 
+// Creates an issuance request for Blind RSA tokens from createRSATokens. The
+// envelope is the same as above, but each entry of contents is the base64 of
+// a TokenRequest from RFC 9578 (see tokenRequestBytes).
+function BuildRSAIssueRequest(tokens) {
+    let contents = [];
+    for (var i = 0; i < tokens.length; i++) {
+        const tokenRequest = tokenRequestBytes(tokens[i]);
+        contents.push(sjcl.codec.base64.fromBits(sjcl.codec.bytes.toBits(tokenRequest)));
+    }
+    return btoa(JSON.stringify({ type: "Issue", contents: contents}));
+}
+
 // Creates a redemption header for the specified request. The format is
 // base64(json(BlindTokenRequest)) where BlindTokenRequest corresponds to the
 // following Go struct:
@@ -77,9 +90,22 @@ function BuildIssueRequest(tokens) {
 // For a redemption request, type will be "Redeem" and the contents will be a
 // list of [token preimage, HMAC(host, "%s %s" % (method, uri))] where the HMAC
 // key is derived from the signed point corresponding to the token preimage.
-function BuildRedeemHeader(token, host, path) {
-    const sharedPoint = unblindPoint(token.blind, token.point);
-    const derivedKey = deriveKey(sharedPoint, token.token);
+// For VOPRF issuers the key is the VOPRF output of the token.
+//
+// A Blind RSA token carries its own signature and has no key to bind the
+// request with, so the contents are just [Token].
+function BuildRedeemHeader(token, host, path, protocol) {
+    if (token.type == TOKEN_TYPE_BLIND_RSA) {
+        return btoa(JSON.stringify({ type: "Redeem", contents: [token.token] }));
+    }
+
+    let derivedKey;
+    if (protocol == PROTOCOL_VOPRF) {
+        derivedKey = voprfFinalize(token);
+    } else {
+        const sharedPoint = unblindPoint(token.blind, token.point);
+        derivedKey = deriveKey(sharedPoint, token.token);
+    }
 
     // TODO: this could be more efficient, but it's easier to check correctness when everything is bytes
     const hostBits = sjcl.codec.utf8String.toBits(host);
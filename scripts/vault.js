@@ -0,0 +1,279 @@
+/*
+ * Optional encryption at rest for the token wallet.
+ *
+ * When enabled, the wallets of all issuers are kept as one AES-GCM ciphertext
+ * in the wallet namespace. The key is derived from a user passphrase with PBKDF2 and
+ * only lives in memory while the wallet is unlocked. The wallet locks itself
+ * again after the configured timeout, after which nothing can be spent until
+ * the user unlocks it from the popup.
+ */
+
+/*global sjcl*/
+/* exported isWalletEncrypted */
+/* exported isWalletLocked */
+/* exported unlockWallet */
+/* exported lockWallet */
+/* exported enableWalletEncryption */
+/* exported disableWalletEncryption */
+/* exported readVaultTokens */
+/* exported writeVaultTokens */
+/* exported vaultWalletIds */
+/* exported removeVaultWallet */
+/* exported clearVaultWallets */
+/* exported holdTokensUntilUnlock */
+"use strict";
+
+const KEY_VAULT_SETTINGS = "wallet-encryption";
+const KEY_VAULT = "vault";
+const VAULT_ALARM = "wallet-autolock";
+const VAULT_KDF_ITERATIONS = 200000;
+const VAULT_SALT_BYTES = 16;
+const VAULT_IV_BYTES = 12;
+const VAULT_CHECK = "privacy-pass-wallet";
+const DEFAULT_AUTO_LOCK_MINUTES = 15;
+const WALLET_LOCKED_ERR = "[privacy-pass]: wallet is locked";
+const WRONG_PASSPHRASE_ERR = "[privacy-pass]: incorrect wallet passphrase";
+
+// AES key and decrypted wallets (issuer id -> storable tokens), only set while
+// the wallet is unlocked
+let vaultKey = null;
+let vaultWallets = null;
+
+// Tokens that arrived while the wallet was locked, merged in on unlock
+let vaultHeldTokens = [];
+
+// Encryptions finish asynchronously so writes are chained to keep them ordered
+let vaultWrite = Promise.resolve();
+
+chrome.alarms.onAlarm.addListener(function(alarm) {
+    if (alarm.name == VAULT_ALARM) {
+        lockWallet();
+    }
+});
+
+function isWalletEncrypted() {
+    return getVaultSettings() !== null;
+}
+
+function isWalletLocked() {
+    return isWalletEncrypted() && vaultKey === null;
+}
+
+// Derives the key from the passphrase, checks it and decrypts the wallet
+//
+// Returns:
+//  Promise that rejects if the passphrase is wrong
+function unlockWallet(passphrase) {
+    const settings = getVaultSettings();
+    if (settings === null) {
+        return Promise.reject(new Error("[privacy-pass]: wallet encryption is not enabled"));
+    }
+    let key;
+    return deriveVaultKey(passphrase, b64ToBytes(settings.salt), settings.iterations).then(function(k) {
+        key = k;
+        return decryptJSON(key, settings.check).catch(function() {
+            throw new Error(WRONG_PASSPHRASE_ERR);
+        });
+    }).then(function(check) {
+        if (check !== VAULT_CHECK) {
+            throw new Error(WRONG_PASSPHRASE_ERR);
+        }
+        const vault = storageGet(NS_WALLET, KEY_VAULT);
+        return vault ? decryptJSON(key, vault) : {};
+    }).then(function(wallets) {
+        // Vaults written before wallets were split by issuer hold one array
+        if (Array.isArray(wallets)) {
+            let split = {};
+            split[getDefaultIssuer().id] = wallets;
+            wallets = split;
+        }
+        vaultKey = key;
+        vaultWallets = wallets;
+        chrome.alarms.create(VAULT_ALARM, { delayInMinutes: settings.autoLockMinutes });
+        const held = vaultHeldTokens;
+        vaultHeldTokens = [];
+        if (held.length > 0) {
+            appendTokens(held);
+        }
+        // Redemptions may have been cut short and epochs retired while the
+        // wallet was locked
+        commitOrphanedReservations();
+        return pruneRetiredWallets();
+    });
+}
+
+// Forgets the key and the decrypted tokens
+function lockWallet() {
+    vaultKey = null;
+    vaultWallets = null;
+    chrome.alarms.clear(VAULT_ALARM);
+    updateIcon(0);
+    UpdateCallback();
+}
+
+// Encrypts the current plaintext wallets under a key derived from passphrase
+//
+// Inputs:
+//  passphrase: string
+//  plainWallets: map from issuer id to the storable tokens held in plaintext
+//  autoLockMinutes: minutes after unlocking before the wallet locks again
+// Returns:
+//  Promise that resolves once the encrypted wallet has been stored
+function enableWalletEncryption(passphrase, plainWallets, autoLockMinutes) {
+    if (isWalletEncrypted()) {
+        return Promise.reject(new Error("[privacy-pass]: wallet encryption is already enabled"));
+    }
+    if (!passphrase) {
+        return Promise.reject(new Error("[privacy-pass]: a passphrase is required"));
+    }
+    const salt = crypto.getRandomValues(new Uint8Array(VAULT_SALT_BYTES));
+    let settings = {
+        salt: bytesToB64(salt),
+        iterations: VAULT_KDF_ITERATIONS,
+        autoLockMinutes: autoLockMinutes || DEFAULT_AUTO_LOCK_MINUTES,
+    };
+    let key;
+    return deriveVaultKey(passphrase, salt, settings.iterations).then(function(k) {
+        key = k;
+        return encryptJSON(key, VAULT_CHECK);
+    }).then(function(check) {
+        settings.check = check;
+        return encryptJSON(key, plainWallets);
+    }).then(function(vault) {
+        return storageSet(NS_WALLET, KEY_VAULT, vault);
+    }).then(function() {
+        return storageSet(NS_SETTINGS, KEY_VAULT_SETTINGS, settings);
+    }).then(function() {
+        vaultKey = key;
+        vaultWallets = plainWallets;
+        chrome.alarms.create(VAULT_ALARM, { delayInMinutes: settings.autoLockMinutes });
+    });
+}
+
+// Turns encryption off again, the wallet has to be unlocked for this
+//
+// Returns:
+//  Promise resolving to the decrypted wallets, which the caller stores
+function disableWalletEncryption() {
+    if (isWalletLocked()) {
+        return Promise.reject(new Error(WALLET_LOCKED_ERR));
+    }
+    const wallets = vaultWallets || {};
+    return vaultWrite.then(function() {
+        return storageRemove(NS_SETTINGS, KEY_VAULT_SETTINGS);
+    }).then(function() {
+        return storageRemove(NS_WALLET, KEY_VAULT);
+    }).then(function() {
+        vaultKey = null;
+        vaultWallets = null;
+        chrome.alarms.clear(VAULT_ALARM);
+        return wallets;
+    });
+}
+
+// Returns the decrypted storable tokens of the issuer's wallet, or null if
+// the wallet is empty or locked
+function readVaultTokens(issuerId) {
+    if (vaultWallets === null) {
+        return null;
+    }
+    return vaultWallets[issuerId] || null;
+}
+
+// Returns the ids of the issuer wallets held in the vault
+function vaultWalletIds() {
+    return Object.keys(vaultWallets || {});
+}
+
+// Replaces the contents of the issuer's wallet in the vault
+//
+// Returns:
+//  Promise that resolves once the ciphertext has been stored
+function writeVaultTokens(issuerId, storableTokens) {
+    if (isWalletLocked()) {
+        return Promise.reject(new Error(WALLET_LOCKED_ERR));
+    }
+    vaultWallets[issuerId] = storableTokens;
+    return sealVault();
+}
+
+// Removes the issuer's wallet from the vault
+function removeVaultWallet(issuerId) {
+    if (isWalletLocked()) {
+        return Promise.reject(new Error(WALLET_LOCKED_ERR));
+    }
+    delete vaultWallets[issuerId];
+    return sealVault();
+}
+
+// Empties every wallet in the vault
+function clearVaultWallets() {
+    vaultHeldTokens = [];
+    if (isWalletLocked()) {
+        return storageRemove(NS_WALLET, KEY_VAULT);
+    }
+    vaultWallets = {};
+    return sealVault();
+}
+
+// Encrypts and stores the current wallets
+function sealVault() {
+    const key = vaultKey;
+    const wallets = vaultWallets;
+    vaultWrite = vaultWrite.catch(function() {}).then(function() {
+        return encryptJSON(key, wallets);
+    }).then(function(vault) {
+        return storageSet(NS_WALLET, KEY_VAULT, vault);
+    });
+    return vaultWrite;
+}
+
+// Keeps tokens from an issuance that completed while the wallet was locked in
+// memory, they are added to the wallet the next time it is unlocked.
+function holdTokensUntilUnlock(storableTokens) {
+    vaultHeldTokens = storableTokens.concat(vaultHeldTokens);
+}
+
+function getVaultSettings() {
+    return storageGet(NS_SETTINGS, KEY_VAULT_SETTINGS);
+}
+
+/* WebCrypto helpers */
+
+// PBKDF2-SHA256 from the passphrase to a 256-bit AES-GCM key
+function deriveVaultKey(passphrase, salt, iterations) {
+    const passBytes = new TextEncoder().encode(passphrase);
+    return crypto.subtle.importKey("raw", passBytes, "PBKDF2", false, ["deriveKey"]).then(function(baseKey) {
+        return crypto.subtle.deriveKey(
+            { name: "PBKDF2", salt: salt, iterations: iterations, hash: "SHA-256" },
+            baseKey,
+            { name: "AES-GCM", length: 256 },
+            false,
+            ["encrypt", "decrypt"]
+        );
+    });
+}
+
+// Returns { iv, data } with both base64-encoded
+function encryptJSON(key, value) {
+    const iv = crypto.getRandomValues(new Uint8Array(VAULT_IV_BYTES));
+    const plaintext = new TextEncoder().encode(JSON.stringify(value));
+    return crypto.subtle.encrypt({ name: "AES-GCM", iv: iv }, key, plaintext).then(function(ciphertext) {
+        return { iv: bytesToB64(iv), data: bytesToB64(new Uint8Array(ciphertext)) };
+    });
+}
+
+function decryptJSON(key, sealed) {
+    const iv = b64ToBytes(sealed.iv);
+    return crypto.subtle.decrypt({ name: "AES-GCM", iv: iv }, key, b64ToBytes(sealed.data)).then(function(plaintext) {
+        return JSON.parse(new TextDecoder().decode(plaintext));
+    });
+}
+
+function bytesToB64(bytes) {
+    return sjcl.codec.base64.fromBits(sjcl.codec.bytes.toBits(Array.from(bytes)));
+}
+
+function b64ToBytes(b64) {
+    return new Uint8Array(sjcl.codec.bytes.fromBits(sjcl.codec.base64.toBits(b64)));
+}
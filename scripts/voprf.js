@@ -0,0 +1,246 @@
+/*
+ * The VOPRF protocol of RFC 9497, ciphersuite P256-SHA256.
+ *
+ * Issuers either speak the original 2HashDH protocol ("2hashdh"), with the
+ * batch proof format in crypto.js, or the standard VOPRF ("voprf"). Both
+ * share the same client: tokens are random inputs that are hashed to the
+ * curve and blinded, and redemptions bind the request with an HMAC. For
+ * VOPRF issuers:
+ *
+ *  - inputs are hashed with HashToGroup, i.e. SSWU with the RFC's tag
+ *  - the issue response carries the evaluated elements and a batched DLEQ
+ *    proof computed with the RFC's composites and challenge
+ *  - the HMAC key of a redemption is the Finalize output for the token
+ *
+ * The commitment of a VOPRF epoch is { G, H } with G the generator and H the
+ * issuer's public key, both as compressed SEC1 points in base64.
+ *
+ * A legacy issue response is "signatures=" followed by base64 of the JSON
+ * object
+ *
+ *  { "elements": [<compressed evaluated elements>],
+ *    "proof": <c || s, 64 bytes>,
+ *    "key": <compressed public key> }
+ *
+ * with all values in base64, and the elements in the order of the request.
+ * See response.js for the JSON and binary forms.
+ */
+
+/*global sjcl*/
+/* exported PROTOCOL_LEGACY */
+/* exported PROTOCOL_VOPRF */
+/* exported VOPRF_HASH_TO_CURVE */
+/* exported parseVoprfResponse */
+/* exported voprfFinalize */
+/* exported verifyArchivedVoprfProof */
+/* exported VOPRF_ELEMENT_BYTES */
+/* exported VOPRF_SCALAR_BYTES */
+"use strict";
+
+const PROTOCOL_LEGACY = "2hashdh";
+const PROTOCOL_VOPRF = "voprf";
+
+const VOPRF_MODE = 0x01;
+const VOPRF_CONTEXT = "OPRFV1-" + String.fromCharCode(VOPRF_MODE) + "-P256-SHA256";
+const VOPRF_HASH_TO_CURVE = { method: H2C_SSWU, dst: "HashToGroup-" + VOPRF_CONTEXT };
+const VOPRF_SCALAR_DST = "HashToScalar-" + VOPRF_CONTEXT;
+const VOPRF_SEED_DST = "Seed-" + VOPRF_CONTEXT;
+const VOPRF_ELEMENT_BYTES = 33;
+const VOPRF_SCALAR_BYTES = 32;
+const VOPRF_PROOF_ERR = "[privacy-pass]: VOPRF proof does not verify";
+
+// Verifies a VOPRF issue response for the tokens that were sent
+//
+// Inputs:
+//  resp: the decoded response, see response.js. Binary responses carry no
+//  key, the proof is then checked against the keys of every VOPRF issuer.
+//  tokens: the blind tokens that were sent for evaluation
+// Returns:
+//  { points, match } where points are the evaluated elements and match is
+//  the { issuer, epoch } of the key
+function parseVoprfResponse(resp, tokens) {
+    if (!Array.isArray(resp.elements) || typeof resp.proof !== "string" || (resp.key !== null && typeof resp.key !== "string")) {
+        throw new Error("[privacy-pass]: VOPRF response is incomplete");
+    }
+    if (resp.elements.length != tokens.length) {
+        throw new Error("[privacy-pass]: expected " + tokens.length + " evaluated elements, got " + resp.elements.length);
+    }
+    let candidates;
+    if (resp.key !== null) {
+        const match = findEpochByCommitment(compressPoint(p256.G), resp.key);
+        if (match === null) {
+            throw issueError(ISSUE_PROOF_FAILURE, "[privacy-pass]: VOPRF response is for an unknown key: " + resp.key);
+        }
+        if (match.issuer.protocol != PROTOCOL_VOPRF) {
+            throw issueError(ISSUE_PROOF_FAILURE, "[privacy-pass]: issuer " + match.issuer.name + " does not use VOPRF");
+        }
+        candidates = [match];
+    } else {
+        candidates = voprfEpochs();
+    }
+
+    const evaluated = resp.elements.map(function(e) {
+        return deserializeElement(b64ToBytesArray(e));
+    });
+    const blinded = tokens.map(function(t) {
+        return t.point;
+    });
+    const proof = b64ToBytesArray(resp.proof);
+    for (let i = 0; i < candidates.length; i++) {
+        const pkS = deserializeElement(b64ToBytesArray(candidates[i].epoch.commitment.H));
+        if (verifyVoprfProof(p256.G, pkS, blinded, evaluated, proof)) {
+            return { points: evaluated, match: candidates[i] };
+        }
+    }
+    throw issueError(ISSUE_PROOF_FAILURE, VOPRF_PROOF_ERR);
+}
+
+// Computes the VOPRF output of a token, which is the key of its redemption
+// HMAC. The proof was checked when the token was issued.
+//
+// Inputs:
+//  token: usable token with the evaluated element as its point
+// Returns:
+//  bytes
+function voprfFinalize(token) {
+    const unblinded = serializeElement(unblindPoint(token.blind, token.point));
+    const hashInput = lengthPrefixed(token.token).concat(
+        lengthPrefixed(unblinded),
+        stringBytes("Finalize")
+    );
+    return sjcl.codec.bytes.fromBits(sjcl.hash.sha256.hash(sjcl.codec.bytes.toBits(hashInput)));
+}
+
+// Verifies the proof of an archived issuance against the key recorded with
+// it, which may no longer be configured
+//
+// Inputs:
+//  key: compressed public key, base64
+//  blinded: compressed blinded elements as sent, base64
+//  elements: compressed evaluated elements as received, base64
+//  proof: c || s as received, base64
+// Returns:
+//  true if the proof verifies
+function verifyArchivedVoprfProof(key, blinded, elements, proof) {
+    const decode = function(e) {
+        return deserializeElement(b64ToBytesArray(e));
+    };
+    return verifyVoprfProof(p256.G, decode(key), blinded.map(decode), elements.map(decode), b64ToBytesArray(proof));
+}
+
+// VerifyProof from RFC 9497, section 2.2.2
+//
+// Inputs:
+//  A: the generator
+//  B: the issuer's public key
+//  Cs: blinded elements
+//  Ds: evaluated elements
+//  proof: bytes of c || s
+// Returns:
+//  true if the proof verifies
+function verifyVoprfProof(A, B, Cs, Ds, proof) {
+    if (proof.length != 2 * VOPRF_SCALAR_BYTES) {
+        return false;
+    }
+    const c = deserializeScalar(proof.slice(0, VOPRF_SCALAR_BYTES));
+    const s = deserializeScalar(proof.slice(VOPRF_SCALAR_BYTES));
+    if (c === null || s === null) {
+        return false;
+    }
+    const composites = computeComposites(B, Cs, Ds);
+    const t2 = addPoints(_scalarMult(s, A), _scalarMult(c, B));
+    const t3 = addPoints(_scalarMult(s, composites.M), _scalarMult(c, composites.Z));
+
+    let transcript = [];
+    [B, composites.M, composites.Z, t2, t3].forEach(function(P) {
+        transcript = transcript.concat(lengthPrefixed(serializeElement(P)));
+    });
+    transcript = transcript.concat(stringBytes("Challenge"));
+    const expected = hashToScalar(transcript, VOPRF_SCALAR_DST);
+    return bigToBn(expected).equals(c);
+}
+
+// ComputeComposites from RFC 9497, section 2.2.1
+function computeComposites(B, Cs, Ds) {
+    const seedTranscript = lengthPrefixed(serializeElement(B)).concat(lengthPrefixed(stringBytes(VOPRF_SEED_DST)));
+    const seed = sjcl.codec.bytes.fromBits(sjcl.hash.sha256.hash(sjcl.codec.bytes.toBits(seedTranscript)));
+
+    let M = new sjcl.ecc.point(p256);
+    let Z = new sjcl.ecc.point(p256);
+    for (let i = 0; i < Cs.length; i++) {
+        const transcript = lengthPrefixed(seed).concat(
+            [i >> 8, i & 0xff],
+            lengthPrefixed(serializeElement(Cs[i])),
+            lengthPrefixed(serializeElement(Ds[i])),
+            stringBytes("Composite")
+        );
+        const d = bigToBn(hashToScalar(transcript, VOPRF_SCALAR_DST));
+        M = addPoints(_scalarMult(d, Cs[i]), M);
+        Z = addPoints(_scalarMult(d, Ds[i]), Z);
+    }
+    return { M: M, Z: Z };
+}
+
+// SerializeElement, compressed SEC1
+function serializeElement(P) {
+    return b64ToBytesArray(compressPoint(P));
+}
+
+// DeserializeElement, which rejects anything but a compressed point on the
+// curve. The identity has no compressed encoding.
+function deserializeElement(bytes) {
+    if (bytes.length != VOPRF_ELEMENT_BYTES || (bytes[0] != 0x02 && bytes[0] != 0x03)) {
+        throw new Error("[privacy-pass]: VOPRF element is not a compressed point");
+    }
+    const P = decompressPoint(sjcl.codec.bytes.toBits(bytes.slice(1)), bytes[0]);
+    if (P === null) {
+        throw new Error("[privacy-pass]: VOPRF element is not on the curve");
+    }
+    return P;
+}
+
+// DeserializeScalar, returns null unless 0 <= s < r
+function deserializeScalar(bytes) {
+    const s = sjcl.bn.fromBits(sjcl.codec.bytes.toBits(bytes));
+    return s.greaterEquals(p256.r) ? null : s;
+}
+
+function addPoints(P, Q) {
+    if (P.isIdentity) {
+        return Q;
+    }
+    if (Q.isIdentity) {
+        return P;
+    }
+    return P.toJac().add(Q).toAffine();
+}
+
+// Returns { issuer, epoch } for every epoch of the enabled VOPRF issuers
+function voprfEpochs() {
+    let epochs = [];
+    getIssuers().forEach(function(issuer) {
+        if (issuer.enabled && issuer.protocol == PROTOCOL_VOPRF) {
+            issuer.epochs.forEach(function(epoch) {
+                epochs.push({ issuer: issuer, epoch: epoch });
+            });
+        }
+    });
+    return epochs;
+}
+
+// I2OSP(len(x), 2) || x
+function lengthPrefixed(bytes) {
+    return [bytes.length >> 8, bytes.length & 0xff].concat(bytes);
+}
+
+function stringBytes(s) {
+    return sjcl.codec.bytes.fromBits(sjcl.codec.utf8String.toBits(s));
+}
+
+function b64ToBytesArray(b64) {
+    return sjcl.codec.bytes.fromBits(sjcl.codec.base64.toBits(b64));
+}
+
+function bigToBn(v) {
+    return new sjcl.bn(v.toString(16));
+}